@@ -6,12 +6,25 @@
 import barba from '@barba/core';
 import gsap from 'gsap';
 
+// WebGL effect per route pair — mirrors how water-wipe is picked for
+// home → about/services. Routes without from/to are the fallback.
+const SCENE_TRANSITIONS = [
+  { name: 'webgl-ripple', from: ['home'], to: ['about', 'services'], effect: 'ripple', duration: 1.4 },
+  { name: 'webgl-sink', from: ['about', 'services'], to: ['contact'], effect: 'sink', duration: 1.6 },
+  { name: 'webgl-sink-home', from: ['contact'], to: ['home'], effect: 'sink', duration: 1.6 },
+  { name: 'webgl-dissolve', effect: 'dissolve', duration: 1.2 },
+];
+
 export class PageTransitions {
   constructor(options = {}) {
     this.onBeforeLeave = options.onBeforeLeave || (() => {});
     this.onLeave = options.onLeave || (() => {});
     this.onEnter = options.onEnter || (() => {});
     this.onAfterEnter = options.onAfterEnter || (() => {});
+    this.onSceneTransition = options.onSceneTransition || (() => Promise.resolve());
+    
+    // WebGL mode blends the 3D scenes instead of hiding them behind the overlay
+    this.webgl = Boolean(options.webgl);
     
     this.init();
   }
@@ -22,197 +35,275 @@ export class PageTransitions {
     
     barba.init({
       preventRunning: true,
-      transitions: [
-        {
-          name: 'default-transition',
+      transitions: this.webgl ? this.createSceneTransitions() : this.createDomTransitions(),
+      
+      // Views for page-specific logic
+      views: this.createViews()
+    });
+  }
+
+  // Transitions where the outgoing and incoming scenes are blended on the GPU
+  createSceneTransitions() {
+    return SCENE_TRANSITIONS.map(route => {
+      const transition = {
+        name: route.name,
+        
+        beforeLeave: (data) => {
+          this.onBeforeLeave(data, { webgl: true });
+        },
+        
+        // Fade the DOM only — the scene keeps rendering underneath
+        leave: (data) => {
+          return new Promise(resolve => {
+            gsap.to(data.current.container, {
+              opacity: 0,
+              y: -20,
+              duration: 0.4,
+              ease: 'power2.in',
+              onComplete: () => {
+                this.onLeave(data, { webgl: true });
+                resolve();
+              }
+            });
+          });
+        },
+        
+        beforeEnter: (data) => {
+          gsap.set(data.next.container, {
+            opacity: 0,
+            y: 30
+          });
           
-          // Synchronous hooks
-          sync: false,
+          window.scrollTo(0, 0);
+        },
+        
+        enter: (data) => {
+          this.onEnter(data, { webgl: true });
           
-          // Before anything
-          beforeLeave: (data) => {
-            return new Promise(resolve => {
-              this.onBeforeLeave(data);
-              resolve();
+          const domIn = new Promise(resolve => {
+            gsap.to(data.next.container, {
+              opacity: 1,
+              y: 0,
+              duration: 0.8,
+              delay: route.duration * 0.4,
+              ease: 'power3.out',
+              onComplete: resolve
             });
-          },
+          });
           
-          // Leave animation
-          leave: (data) => {
-            return new Promise(resolve => {
-              const tl = gsap.timeline({
-                onComplete: () => {
-                  this.onLeave(data);
-                  resolve();
-                }
-              });
-              
-              // Fade out current page
-              tl.to(data.current.container, {
-                opacity: 0,
-                y: -30,
-                duration: 0.5,
-                ease: 'power2.in'
-              });
-              
-              // Animate overlay in
-              tl.to('.transition-overlay', {
-                y: '0%',
-                duration: 0.6,
-                ease: 'power3.inOut'
-              }, 0.2);
-            });
-          },
+          const sceneIn = this.onSceneTransition(data, {
+            effect: route.effect,
+            duration: route.duration
+          });
           
-          // After leave, before enter
-          beforeEnter: (data) => {
-            // Reset new container
-            gsap.set(data.next.container, {
+          return Promise.all([domIn, sceneIn]);
+        },
+        
+        afterEnter: (data) => {
+          this.onAfterEnter(data, { webgl: true });
+        }
+      };
+      
+      if (route.from) transition.from = { namespace: route.from };
+      if (route.to) transition.to = { namespace: route.to };
+      
+      return transition;
+    });
+  }
+
+  // Overlay-based DOM transitions
+  createDomTransitions() {
+    return [
+      {
+        name: 'default-transition',
+        
+        // Synchronous hooks
+        sync: false,
+        
+        // Before anything
+        beforeLeave: (data) => {
+          return new Promise(resolve => {
+            this.onBeforeLeave(data);
+            resolve();
+          });
+        },
+        
+        // Leave animation
+        leave: (data) => {
+          return new Promise(resolve => {
+            const tl = gsap.timeline({
+              onComplete: () => {
+                this.onLeave(data);
+                resolve();
+              }
+            });
+            
+            // Fade out current page
+            tl.to(data.current.container, {
               opacity: 0,
-              y: 30
+              y: -30,
+              duration: 0.5,
+              ease: 'power2.in'
             });
             
-            // Scroll to top
-            window.scrollTo(0, 0);
-          },
+            // Animate overlay in
+            tl.to('.transition-overlay', {
+              y: '0%',
+              duration: 0.6,
+              ease: 'power3.inOut'
+            }, 0.2);
+          });
+        },
+        
+        // After leave, before enter
+        beforeEnter: (data) => {
+          // Reset new container
+          gsap.set(data.next.container, {
+            opacity: 0,
+            y: 30
+          });
           
-          // Enter animation
-          enter: (data) => {
-            return new Promise(resolve => {
-              this.onEnter(data);
-              
-              const tl = gsap.timeline({
-                onComplete: resolve
-              });
-              
-              // Animate overlay out
-              tl.to('.transition-overlay', {
-                y: '-100%',
-                duration: 0.6,
-                ease: 'power3.inOut'
-              });
-              
-              // Fade in new page
-              tl.to(data.next.container, {
-                opacity: 1,
-                y: 0,
-                duration: 0.6,
-                ease: 'power2.out'
-              }, 0.3);
+          // Scroll to top
+          window.scrollTo(0, 0);
+        },
+        
+        // Enter animation
+        enter: (data) => {
+          return new Promise(resolve => {
+            this.onEnter(data);
+            
+            const tl = gsap.timeline({
+              onComplete: resolve
             });
-          },
-          
-          // After everything
-          afterEnter: (data) => {
-            this.onAfterEnter(data);
             
-            // Reset overlay position for next transition
-            gsap.set('.transition-overlay', { y: '100%' });
-          }
+            // Animate overlay out
+            tl.to('.transition-overlay', {
+              y: '-100%',
+              duration: 0.6,
+              ease: 'power3.inOut'
+            });
+            
+            // Fade in new page
+            tl.to(data.next.container, {
+              opacity: 1,
+              y: 0,
+              duration: 0.6,
+              ease: 'power2.out'
+            }, 0.3);
+          });
         },
         
-        // Water-wipe transition for home page
-        {
-          name: 'water-wipe',
-          from: { namespace: ['home'] },
-          to: { namespace: ['about', 'services'] },
+        // After everything
+        afterEnter: (data) => {
+          this.onAfterEnter(data);
           
-          leave: (data) => {
-            return new Promise(resolve => {
-              const tl = gsap.timeline({
-                onComplete: () => {
-                  this.onLeave(data);
-                  resolve();
-                }
-              });
-              
-              // More dramatic exit from home
-              tl.to(data.current.container, {
-                opacity: 0,
-                scale: 0.95,
-                filter: 'blur(10px)',
-                duration: 0.6,
-                ease: 'power2.in'
-              });
-              
-              tl.to('.transition-overlay', {
-                y: '0%',
-                duration: 0.7,
-                ease: 'power4.inOut'
-              }, 0.2);
+          // Reset overlay position for next transition
+          gsap.set('.transition-overlay', { y: '100%' });
+        }
+      },
+      
+      // Water-wipe transition for home page
+      {
+        name: 'water-wipe',
+        from: { namespace: ['home'] },
+        to: { namespace: ['about', 'services'] },
+        
+        leave: (data) => {
+          return new Promise(resolve => {
+            const tl = gsap.timeline({
+              onComplete: () => {
+                this.onLeave(data);
+                resolve();
+              }
             });
-          },
-          
-          enter: (data) => {
-            return new Promise(resolve => {
-              this.onEnter(data);
-              
-              gsap.set(data.next.container, {
-                opacity: 0,
-                y: 50
-              });
-              
-              const tl = gsap.timeline({
-                onComplete: resolve
-              });
-              
-              tl.to('.transition-overlay', {
-                y: '-100%',
-                duration: 0.7,
-                ease: 'power4.inOut'
-              });
-              
-              tl.to(data.next.container, {
-                opacity: 1,
-                y: 0,
-                duration: 0.8,
-                ease: 'power3.out'
-              }, 0.3);
+            
+            // More dramatic exit from home
+            tl.to(data.current.container, {
+              opacity: 0,
+              scale: 0.95,
+              filter: 'blur(10px)',
+              duration: 0.6,
+              ease: 'power2.in'
             });
-          }
+            
+            tl.to('.transition-overlay', {
+              y: '0%',
+              duration: 0.7,
+              ease: 'power4.inOut'
+            }, 0.2);
+          });
+        },
+        
+        enter: (data) => {
+          return new Promise(resolve => {
+            this.onEnter(data);
+            
+            gsap.set(data.next.container, {
+              opacity: 0,
+              y: 50
+            });
+            
+            const tl = gsap.timeline({
+              onComplete: resolve
+            });
+            
+            tl.to('.transition-overlay', {
+              y: '-100%',
+              duration: 0.7,
+              ease: 'power4.inOut'
+            });
+            
+            tl.to(data.next.container, {
+              opacity: 1,
+              y: 0,
+              duration: 0.8,
+              ease: 'power3.out'
+            }, 0.3);
+          });
         }
-      ],
-      
-      // Views for page-specific logic
-      views: [
-        {
-          namespace: 'home',
-          beforeEnter() {
-            document.body.classList.add('page-home');
-          },
-          afterLeave() {
-            document.body.classList.remove('page-home');
-          }
+      }
+    ];
+  }
+
+  createViews() {
+    return [
+      {
+        namespace: 'home',
+        beforeEnter() {
+          document.body.classList.add('page-home');
+        },
+        afterLeave() {
+          document.body.classList.remove('page-home');
+        }
+      },
+      {
+        namespace: 'about',
+        beforeEnter() {
+          document.body.classList.add('page-about');
         },
-        {
-          namespace: 'about',
-          beforeEnter() {
-            document.body.classList.add('page-about');
-          },
-          afterLeave() {
-            document.body.classList.remove('page-about');
-          }
+        afterLeave() {
+          document.body.classList.remove('page-about');
+        }
+      },
+      {
+        namespace: 'services',
+        beforeEnter() {
+          document.body.classList.add('page-services');
         },
-        {
-          namespace: 'services',
-          beforeEnter() {
-            document.body.classList.add('page-services');
-          },
-          afterLeave() {
-            document.body.classList.remove('page-services');
-          }
+        afterLeave() {
+          document.body.classList.remove('page-services');
+        }
+      },
+      {
+        namespace: 'contact',
+        beforeEnter() {
+          document.body.classList.add('page-contact');
         },
-        {
-          namespace: 'contact',
-          beforeEnter() {
-            document.body.classList.add('page-contact');
-          },
-          afterLeave() {
-            document.body.classList.remove('page-contact');
-          }
+        afterLeave() {
+          document.body.classList.remove('page-contact');
         }
-      ]
-    });
+      }
+    ];
   }
 
   createOverlay() {
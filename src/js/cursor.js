@@ -7,9 +7,13 @@ import gsap from 'gsap';
 import { isTouch } from './utils/device.js';
 
 export class CustomCursor {
-  constructor() {
+  /**
+   * @param {InputService} input - Shared pointer tracking
+   */
+  constructor(input) {
     if (isTouch()) return;
     
+    this.input = input;
     this.cursor = document.getElementById('cursor');
     this.cursorInner = this.cursor?.querySelector('.cursor__inner');
     
@@ -18,15 +22,18 @@ export class CustomCursor {
     this.position = { x: 0, y: 0 };
     this.targetPosition = { x: 0, y: 0 };
     this.isHovering = false;
+    this.isSceneHovering = false;
+    this.rafId = null;
+    this.isPaused = false;
     
     this.init();
   }
 
   init() {
     // Mouse move
-    document.addEventListener('mousemove', (e) => {
-      this.targetPosition.x = e.clientX;
-      this.targetPosition.y = e.clientY;
+    this.unsubscribeInput = this.input.onPointerMove((x, y, pointer) => {
+      this.targetPosition.x = pointer.clientX;
+      this.targetPosition.y = pointer.clientY;
     });
 
     // Hover states
@@ -49,11 +56,20 @@ export class CustomCursor {
       });
       
       el.addEventListener('mouseleave', () => {
-        this.cursor.classList.remove('is-hovering');
         this.isHovering = false;
+        if (!this.isSceneHovering) this.cursor.classList.remove('is-hovering');
       });
     });
 
+    // 3D objects under the pointer (InteractionLayer)
+    if (!this.sceneHoverBound) {
+      this.sceneHoverBound = true;
+      window.addEventListener('sceneHover', (e) => {
+        this.isSceneHovering = e.detail.hovering;
+        this.cursor.classList.toggle('is-hovering', this.isSceneHovering || this.isHovering);
+      });
+    }
+
     // Hide cursor when leaving window
     document.addEventListener('mouseleave', () => {
       gsap.to(this.cursor, {
@@ -80,7 +96,23 @@ export class CustomCursor {
       y: this.position.y
     });
     
-    requestAnimationFrame(() => this.animate());
+    this.rafId = requestAnimationFrame(() => this.animate());
+  }
+
+  // Stop following while nothing is visible; position is kept
+  pause() {
+    if (!this.cursor || this.isPaused) return;
+    
+    this.isPaused = true;
+    cancelAnimationFrame(this.rafId);
+    this.rafId = null;
+  }
+
+  resume() {
+    if (!this.cursor || !this.isPaused) return;
+    
+    this.isPaused = false;
+    this.animate();
   }
 
   // Re-init hover states after page transition
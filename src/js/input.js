@@ -0,0 +1,363 @@
+/**
+ * Aurora Aqua - Input Service
+ * One set of window listeners for everything that follows the visitor:
+ * normalized pointer position and velocity, touch gestures (tap, swipe,
+ * pinch) and device-orientation tilt. On touch devices tilt stands in
+ * for the mouse, so parallax subscribers get gyroscope motion for free.
+ *
+ * iOS only grants motion access from inside a user gesture; the first
+ * tap on the page asks, or call requestTiltPermission() from a button.
+ */
+
+import { isTouch } from './utils/device.js';
+
+// Degrees of tilt away from the rest pose that reach the -1..1 range
+const TILT_RANGE = 25;
+// Share of the offset the rest pose absorbs per event, so a phone that
+// is slowly re-gripped drifts back to centre
+const TILT_RECENTER = 0.005;
+// Velocity is stale once the pointer has been still this long (ms)
+const VELOCITY_TIMEOUT = 100;
+
+const TAP_DISTANCE = 10;
+const TAP_TIME = 300;
+const SWIPE_DISTANCE = 50;
+const SWIPE_TIME = 600;
+
+function clamp(value, min = -1, max = 1) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function subscribe(list, callback) {
+  if (typeof callback !== 'function') return () => {};
+
+  list.push(callback);
+
+  return () => {
+    const index = list.indexOf(callback);
+    if (index > -1) {
+      list.splice(index, 1);
+    }
+  };
+}
+
+export class InputService {
+  constructor() {
+    // -1..1, y down; client coordinates and the element under the
+    // pointer kept for DOM followers
+    this.pointer = { x: 0, y: 0, clientX: 0, clientY: 0, type: 'mouse', target: null };
+    this.velocity = { x: 0, y: 0 };
+    this.lastMoveTime = 0;
+
+    this.tilt = { x: 0, y: 0 };
+    this.tiltRest = null;
+    this.hasTilt = false;
+    // 'unsupported' | 'prompt' | 'granted' | 'denied'
+    this.tiltPermission = 'unsupported';
+
+    this.gesture = null;
+
+    this.moveCallbacks = [];
+    this.tiltCallbacks = [];
+    this.parallaxCallbacks = [];
+    this.gestureCallbacks = [];
+
+    this.init();
+  }
+
+  init() {
+    this.pointerHandler = (e) => {
+      if (e.pointerType === 'touch') return;
+      this.updatePointer(e.clientX, e.clientY, e.pointerType || 'mouse', e.target);
+    };
+    window.addEventListener('pointermove', this.pointerHandler, { passive: true });
+
+    // Touch events, not pointer events: those are cancelled as soon as
+    // the page starts to scroll, which would swallow every swipe
+    this.touchStartHandler = (e) => this.onTouchStart(e);
+    this.touchMoveHandler = (e) => this.onTouchMove(e);
+    this.touchEndHandler = (e) => this.onTouchEnd(e);
+    window.addEventListener('touchstart', this.touchStartHandler, { passive: true });
+    window.addEventListener('touchmove', this.touchMoveHandler, { passive: true });
+    window.addEventListener('touchend', this.touchEndHandler, { passive: true });
+    window.addEventListener('touchcancel', this.touchEndHandler, { passive: true });
+
+    this.initTilt();
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // POINTER
+  // ═══════════════════════════════════════════════════════════
+
+  updatePointer(clientX, clientY, type, target = null) {
+    const now = performance.now();
+    const x = (clientX / window.innerWidth) * 2 - 1;
+    const y = (clientY / window.innerHeight) * 2 - 1;
+    const dt = (now - this.lastMoveTime) / 1000;
+
+    // Units per second, lightly smoothed; a fresh move after a pause
+    // starts from rest rather than spiking
+    if (dt > 0 && dt < VELOCITY_TIMEOUT / 1000) {
+      this.velocity.x += ((x - this.pointer.x) / dt - this.velocity.x) * 0.5;
+      this.velocity.y += ((y - this.pointer.y) / dt - this.velocity.y) * 0.5;
+    } else {
+      this.velocity.x = 0;
+      this.velocity.y = 0;
+    }
+
+    this.pointer.x = x;
+    this.pointer.y = y;
+    this.pointer.clientX = clientX;
+    this.pointer.clientY = clientY;
+    this.pointer.type = type;
+    this.pointer.target = target;
+    this.lastMoveTime = now;
+
+    for (let i = 0; i < this.moveCallbacks.length; i++) {
+      this.moveCallbacks[i](x, y, this.pointer);
+    }
+
+    // Touch positions jump between taps; only a mouse or pen steers
+    // parallax, and only while no gyroscope does
+    if (type !== 'touch' && !this.hasTilt) this.emitParallax(x, y, 'pointer');
+  }
+
+  /**
+   * Pointer velocity in normalized units per second; zero once the
+   * pointer has rested.
+   * @returns {{x: number, y: number}}
+   */
+  getVelocity() {
+    if (performance.now() - this.lastMoveTime > VELOCITY_TIMEOUT) {
+      return { x: 0, y: 0 };
+    }
+    return { x: this.velocity.x, y: this.velocity.y };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // TOUCH GESTURES
+  // ═══════════════════════════════════════════════════════════
+
+  onTouchStart(e) {
+    const touch = e.touches[0];
+    this.updatePointer(touch.clientX, touch.clientY, 'touch', e.target);
+
+    this.gesture = {
+      target: e.target,
+      startX: touch.clientX,
+      startY: touch.clientY,
+      startTime: performance.now(),
+      pinchStart: e.touches.length === 2 ? this.getTouchDistance(e.touches) : null,
+      scale: 1
+    };
+  }
+
+  onTouchMove(e) {
+    const touch = e.touches[0];
+    this.updatePointer(touch.clientX, touch.clientY, 'touch', e.target);
+
+    const gesture = this.gesture;
+    if (!gesture) return;
+
+    if (e.touches.length === 2) {
+      const distance = this.getTouchDistance(e.touches);
+      if (gesture.pinchStart === null) gesture.pinchStart = distance;
+      gesture.scale = distance / gesture.pinchStart;
+      this.emitGesture({ type: 'pinch', scale: gesture.scale });
+    }
+  }
+
+  onTouchEnd(e) {
+    const gesture = this.gesture;
+    if (!gesture || e.touches.length > 0) return;
+    this.gesture = null;
+
+    // A pinch is not also a tap or a swipe
+    if (gesture.pinchStart !== null) return;
+
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - gesture.startX;
+    const dy = touch.clientY - gesture.startY;
+    const distance = Math.hypot(dx, dy);
+    const duration = performance.now() - gesture.startTime;
+    const x = (touch.clientX / window.innerWidth) * 2 - 1;
+    const y = (touch.clientY / window.innerHeight) * 2 - 1;
+
+    if (distance < TAP_DISTANCE && duration < TAP_TIME) {
+      this.emitGesture({ type: 'tap', x, y, clientX: touch.clientX, clientY: touch.clientY, target: gesture.target });
+    } else if (distance > SWIPE_DISTANCE && duration < SWIPE_TIME) {
+      const direction = Math.abs(dx) > Math.abs(dy)
+        ? (dx > 0 ? 'right' : 'left')
+        : (dy > 0 ? 'down' : 'up');
+
+      this.emitGesture({
+        type: 'swipe',
+        direction,
+        // px per second
+        velocity: distance / (duration / 1000),
+        dx,
+        dy
+      });
+    }
+  }
+
+  getTouchDistance(touches) {
+    return Math.hypot(
+      touches[0].clientX - touches[1].clientX,
+      touches[0].clientY - touches[1].clientY
+    );
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // TILT
+  // ═══════════════════════════════════════════════════════════
+
+  initTilt() {
+    if (!('DeviceOrientationEvent' in window) || !isTouch()) return;
+
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+      this.tiltPermission = 'prompt';
+      this.permissionHandler = () => this.requestTiltPermission();
+      window.addEventListener('touchend', this.permissionHandler, { once: true, passive: true });
+    } else {
+      this.tiltPermission = 'granted';
+      this.bindTilt();
+    }
+  }
+
+  /**
+   * Ask for motion access (iOS). Must run inside a user gesture.
+   * @returns {Promise<string>} The resulting permission state
+   */
+  async requestTiltPermission() {
+    if (this.tiltPermission !== 'prompt') return this.tiltPermission;
+
+    if (this.permissionHandler) {
+      window.removeEventListener('touchend', this.permissionHandler);
+      this.permissionHandler = null;
+    }
+
+    try {
+      const result = await DeviceOrientationEvent.requestPermission();
+      this.tiltPermission = result === 'granted' ? 'granted' : 'denied';
+    } catch (error) {
+      this.tiltPermission = 'denied';
+    }
+
+    console.log(`📱 Input: Motion access ${this.tiltPermission}`);
+    if (this.tiltPermission === 'granted') this.bindTilt();
+
+    window.dispatchEvent(new CustomEvent('tiltPermission', {
+      detail: { state: this.tiltPermission }
+    }));
+
+    return this.tiltPermission;
+  }
+
+  bindTilt() {
+    this.orientationHandler = (e) => this.onOrientation(e);
+    window.addEventListener('deviceorientation', this.orientationHandler);
+  }
+
+  onOrientation(e) {
+    // Desktop browsers may fire once with nulls
+    if (e.beta === null || e.gamma === null) return;
+
+    // Map device axes onto the screen as it is currently held
+    const angle = (screen.orientation && screen.orientation.angle) ?? window.orientation ?? 0;
+    let x = e.gamma;
+    let y = e.beta;
+    if (angle === 90) {
+      x = e.beta;
+      y = -e.gamma;
+    } else if (angle === -90 || angle === 270) {
+      x = -e.beta;
+      y = e.gamma;
+    }
+
+    // However the phone is held when tilt starts counts as centre
+    if (!this.tiltRest) {
+      this.tiltRest = { x, y };
+      this.hasTilt = true;
+      console.log('📱 Input: Gyroscope parallax active');
+    }
+
+    this.tiltRest.x += (x - this.tiltRest.x) * TILT_RECENTER;
+    this.tiltRest.y += (y - this.tiltRest.y) * TILT_RECENTER;
+
+    this.tilt.x = clamp((x - this.tiltRest.x) / TILT_RANGE);
+    this.tilt.y = clamp((y - this.tiltRest.y) / TILT_RANGE);
+
+    for (let i = 0; i < this.tiltCallbacks.length; i++) {
+      this.tiltCallbacks[i](this.tilt.x, this.tilt.y);
+    }
+
+    this.emitParallax(this.tilt.x, this.tilt.y, 'tilt');
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // SUBSCRIPTIONS
+  // ═══════════════════════════════════════════════════════════
+
+  emitParallax(x, y, source) {
+    for (let i = 0; i < this.parallaxCallbacks.length; i++) {
+      this.parallaxCallbacks[i](x, y, source);
+    }
+  }
+
+  emitGesture(gesture) {
+    for (let i = 0; i < this.gestureCallbacks.length; i++) {
+      this.gestureCallbacks[i](gesture);
+    }
+  }
+
+  /**
+   * @param {Function} callback - (x, y, pointer) for every pointer or
+   *   touch move; x/y in -1..1, y down
+   * @returns {Function} Unsubscribe
+   */
+  onPointerMove(callback) {
+    return subscribe(this.moveCallbacks, callback);
+  }
+
+  /**
+   * @param {Function} callback - (x, y) device tilt in -1..1
+   * @returns {Function} Unsubscribe
+   */
+  onTilt(callback) {
+    return subscribe(this.tiltCallbacks, callback);
+  }
+
+  /**
+   * Where the scene should lean: the mouse on desktop, the gyroscope on
+   * phones and tablets that allow it.
+   * @param {Function} callback - (x, y, source) in -1..1, y down
+   * @returns {Function} Unsubscribe
+   */
+  onParallax(callback) {
+    return subscribe(this.parallaxCallbacks, callback);
+  }
+
+  /**
+   * @param {Function} callback - ({ type: 'tap' | 'swipe' | 'pinch', ... })
+   * @returns {Function} Unsubscribe
+   */
+  onGesture(callback) {
+    return subscribe(this.gestureCallbacks, callback);
+  }
+
+  destroy() {
+    window.removeEventListener('pointermove', this.pointerHandler);
+    window.removeEventListener('touchstart', this.touchStartHandler);
+    window.removeEventListener('touchmove', this.touchMoveHandler);
+    window.removeEventListener('touchend', this.touchEndHandler);
+    window.removeEventListener('touchcancel', this.touchEndHandler);
+    if (this.permissionHandler) window.removeEventListener('touchend', this.permissionHandler);
+    if (this.orientationHandler) window.removeEventListener('deviceorientation', this.orientationHandler);
+
+    this.moveCallbacks = [];
+    this.tiltCallbacks = [];
+    this.parallaxCallbacks = [];
+    this.gestureCallbacks = [];
+  }
+}
@@ -0,0 +1,398 @@
+/**
+ * Aurora Aqua - Scene Inspector
+ * `?debug` overlay for the active scene: object tree, lights, every
+ * ShaderMaterial uniform (plus post-processing) as live controls,
+ * renderer.info stats, and a JSON export of the tweaked values.
+ */
+
+function formatNumber(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export class SceneInspector {
+  constructor() {
+    this.scene = null;
+    // Renderer whose info counters we took over, and its own setting
+    this.renderer = null;
+    this.previousAutoReset = true;
+    this.frames = 0;
+    this.lastSample = performance.now();
+    this.statsTimer = null;
+    this.frameId = null;
+
+    this.init();
+  }
+
+  init() {
+    this.element = document.createElement('aside');
+    this.element.className = 'inspector';
+    this.element.setAttribute('data-lenis-prevent', '');
+    document.body.appendChild(this.element);
+
+    // Count frames ourselves; renderer.info is summed over the interval
+    const countFrame = () => {
+      this.frames++;
+      this.frameId = requestAnimationFrame(countFrame);
+    };
+    countFrame();
+
+    this.statsTimer = setInterval(() => this.updateStats(), 500);
+
+    console.log('🔍 Inspector: Mounted (?debug)');
+  }
+
+  /**
+   * Rebuild the panel for a newly started scene.
+   * @param {BaseScene} scene
+   */
+  attach(scene) {
+    this.detach();
+    this.scene = scene;
+    this.element.innerHTML = '';
+
+    const manager = scene && scene.sceneManager;
+    if (!manager) {
+      this.element.textContent = 'No WebGL scene';
+      return;
+    }
+
+    // Sum counters over each stats interval; detach() hands them back
+    const renderer = manager.getRenderer();
+    this.renderer = renderer;
+    this.previousAutoReset = renderer.info.autoReset;
+    renderer.info.autoReset = false;
+    renderer.info.reset();
+
+    const title = document.createElement('strong');
+    title.textContent = `Scene: ${scene.options.namespace || 'unknown'}`;
+    this.element.appendChild(title);
+
+    this.statsElement = document.createElement('div');
+    this.statsElement.className = 'inspector__stats';
+    this.element.appendChild(this.statsElement);
+
+    this.element.appendChild(this.buildObjects(manager.getScene()));
+    this.element.appendChild(this.buildLights(manager.getScene()));
+    this.element.appendChild(this.buildMaterials());
+    this.element.appendChild(this.buildParams());
+    this.element.appendChild(this.buildExport());
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // SECTIONS
+  // ═══════════════════════════════════════════════════════════
+
+  section(title, open = false) {
+    const details = document.createElement('details');
+    details.open = open;
+    const summary = document.createElement('summary');
+    summary.textContent = title;
+    details.appendChild(summary);
+    return details;
+  }
+
+  row(parent, labelText) {
+    const row = document.createElement('div');
+    row.className = 'inspector__row';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    label.title = labelText;
+    row.appendChild(label);
+    parent.appendChild(row);
+    return row;
+  }
+
+  buildObjects(scene) {
+    const section = this.section(`Objects (${scene.children.length})`);
+
+    scene.children.forEach((child, index) => {
+      let descendants = 0;
+      child.traverse(() => descendants++);
+
+      const name = `${index}: ${child.name || child.type}${descendants > 1 ? ` (+${descendants - 1})` : ''}`;
+      const row = this.row(section, name);
+
+      const visible = document.createElement('input');
+      visible.type = 'checkbox';
+      visible.checked = child.visible;
+      visible.addEventListener('change', () => { child.visible = visible.checked; });
+      row.appendChild(visible);
+    });
+
+    return section;
+  }
+
+  buildLights(scene) {
+    const lights = [];
+    scene.traverse(object => {
+      if (object.isLight) lights.push(object);
+    });
+
+    const section = this.section(`Lights (${lights.length})`);
+
+    lights.forEach((light, index) => {
+      const label = light.name || `${light.type} ${index}`;
+      const row = this.row(section, label);
+      row.appendChild(this.colorInput(light.color));
+      row.appendChild(this.numberInput(light, 'intensity'));
+    });
+
+    this.lights = lights;
+    return section;
+  }
+
+  buildMaterials() {
+    this.materials = this.collectMaterials();
+    const section = this.section(`Uniforms (${this.materials.length} materials)`, true);
+
+    this.materials.forEach(({ label, material }) => {
+      const group = this.section(label);
+
+      Object.entries(material.uniforms).forEach(([name, uniform]) => {
+        const control = this.uniformControl(uniform);
+        if (!control) return;
+
+        const row = this.row(group, name);
+        row.appendChild(control);
+      });
+
+      section.appendChild(group);
+    });
+
+    return section;
+  }
+
+  buildParams() {
+    this.params = {};
+
+    // Scene-specific tunables (orbit radii, camera paths...)
+    const sceneParams = typeof this.scene.getDebugParams === 'function'
+      ? this.scene.getDebugParams()
+      : {};
+    Object.assign(this.params, sceneParams);
+
+    const post = this.scene.sceneManager.getPostProcessing();
+    if (post && post.bloomPass) this.params.bloom = post.bloomPass;
+
+    const section = this.section(`Parameters (${Object.keys(this.params).length})`);
+
+    Object.entries(this.params).forEach(([groupName, target]) => {
+      const group = this.section(groupName);
+
+      this.numericKeys(groupName, target).forEach(key => {
+        const row = this.row(group, key);
+        row.appendChild(this.numberInput(target, key));
+      });
+
+      section.appendChild(group);
+    });
+
+    return section;
+  }
+
+  buildExport() {
+    const wrapper = document.createElement('div');
+    const button = document.createElement('button');
+    button.textContent = 'Export JSON';
+    const output = document.createElement('textarea');
+    output.hidden = true;
+
+    button.addEventListener('click', () => {
+      const json = JSON.stringify(this.exportValues(), null, 2);
+      output.value = json;
+      output.hidden = false;
+      output.select();
+
+      if (navigator.clipboard) {
+        navigator.clipboard.writeText(json).catch(() => {});
+      }
+      console.log('🔍 Inspector: Exported values\n', json);
+    });
+
+    wrapper.appendChild(button);
+    wrapper.appendChild(output);
+    return wrapper;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // CONTROLS
+  // ═══════════════════════════════════════════════════════════
+
+  numberInput(target, key) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = Math.abs(target[key]) < 1 ? '0.01' : '0.1';
+    input.value = formatNumber(target[key]);
+    input.addEventListener('input', () => {
+      const value = parseFloat(input.value);
+      if (Number.isFinite(value)) target[key] = value;
+    });
+    return input;
+  }
+
+  colorInput(color) {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = `#${color.getHexString()}`;
+    input.addEventListener('input', () => color.set(input.value));
+    return input;
+  }
+
+  uniformControl(uniform) {
+    const value = uniform.value;
+
+    if (typeof value === 'number') return this.numberInput(uniform, 'value');
+
+    if (typeof value === 'boolean') {
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = value;
+      input.addEventListener('change', () => { uniform.value = input.checked; });
+      return input;
+    }
+
+    if (value && value.isColor) return this.colorInput(value);
+
+    if (value && (value.isVector2 || value.isVector3 || value.isVector4)) {
+      const span = document.createElement('span');
+      ['x', 'y', 'z', 'w'].filter(axis => axis in value).forEach(axis => {
+        const input = this.numberInput(value, axis);
+        input.style.width = '46px';
+        span.appendChild(input);
+      });
+      return span;
+    }
+
+    // Textures, matrices and arrays are shown read-only elsewhere
+    return null;
+  }
+
+  numericKeys(groupName, target) {
+    // UnrealBloomPass carries dozens of internals; expose its knobs only
+    if (groupName === 'bloom') return ['strength', 'radius', 'threshold'];
+
+    return Object.keys(target).filter(key => typeof target[key] === 'number');
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // DATA
+  // ═══════════════════════════════════════════════════════════
+
+  collectMaterials() {
+    const found = [];
+    const seen = new Set();
+
+    const add = (material, label) => {
+      if (!material || !material.isShaderMaterial || seen.has(material)) return;
+      if (!material.uniforms || Object.keys(material.uniforms).length === 0) return;
+
+      seen.add(material);
+      found.push({ label: material.name || label, material });
+    };
+
+    this.scene.sceneManager.getScene().traverse(object => {
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach((material, i) => {
+        add(material, `${object.name || object.type}.${material ? material.type : ''}${i ? `[${i}]` : ''}#${found.length}`);
+      });
+    });
+
+    const post = this.scene.sceneManager.getPostProcessing();
+    if (post) {
+      if (post.gradingPass) add(post.gradingPass.material, 'post.grading');
+      add(post.lensPass.material, 'post.lens');
+    }
+
+    return found;
+  }
+
+  exportValues() {
+    const serialize = (value) => {
+      if (typeof value === 'number') return formatNumber(value);
+      if (typeof value === 'boolean') return value;
+      if (value && value.isColor) return `#${value.getHexString()}`;
+      if (value && (value.isVector2 || value.isVector3 || value.isVector4)) {
+        return value.toArray().map(formatNumber);
+      }
+      return undefined;
+    };
+
+    const uniforms = {};
+    this.materials.forEach(({ label, material }) => {
+      const values = {};
+      Object.entries(material.uniforms).forEach(([name, uniform]) => {
+        const value = serialize(uniform.value);
+        if (value !== undefined) values[name] = value;
+      });
+      uniforms[label] = values;
+    });
+
+    const lights = {};
+    this.lights.forEach((light, index) => {
+      lights[light.name || `${light.type} ${index}`] = {
+        color: `#${light.color.getHexString()}`,
+        intensity: formatNumber(light.intensity),
+      };
+    });
+
+    const params = {};
+    Object.entries(this.params).forEach(([groupName, target]) => {
+      params[groupName] = {};
+      this.numericKeys(groupName, target).forEach(key => {
+        params[groupName][key] = formatNumber(target[key]);
+      });
+    });
+
+    return {
+      scene: this.scene.options.namespace,
+      tier: this.scene.sceneManager.getPerformanceTier(),
+      uniforms,
+      lights,
+      params,
+    };
+  }
+
+  updateStats() {
+    if (!this.statsElement || !this.scene || !this.scene.sceneManager) return;
+
+    const now = performance.now();
+    const seconds = (now - this.lastSample) / 1000;
+    const frames = Math.max(this.frames, 1);
+    const renderer = this.scene.sceneManager.getRenderer();
+    const info = renderer.info;
+
+    this.statsElement.textContent = [
+      `fps        ${Math.round(this.frames / seconds)}`,
+      `tier       ${this.scene.sceneManager.getPerformanceTier()}`,
+      `calls/f    ${Math.round(info.render.calls / frames)}`,
+      `tris/f     ${Math.round(info.render.triangles / frames)}`,
+      `points/f   ${Math.round(info.render.points / frames)}`,
+      `geometries ${info.memory.geometries}`,
+      `textures   ${info.memory.textures}`,
+      `programs   ${info.programs ? info.programs.length : 0}`,
+      `pixelRatio ${renderer.getPixelRatio()}`,
+    ].join('\n');
+
+    info.reset();
+    this.frames = 0;
+    this.lastSample = now;
+  }
+
+  // Give the renderer back its per-frame counters
+  detach() {
+    if (this.renderer) {
+      this.renderer.info.autoReset = this.previousAutoReset;
+      this.renderer.info.reset();
+      this.renderer = null;
+    }
+    this.scene = null;
+    this.statsElement = null;
+  }
+
+  destroy() {
+    this.detach();
+    clearInterval(this.statsTimer);
+    cancelAnimationFrame(this.frameId);
+    this.element.remove();
+  }
+}
@@ -1,16 +1,38 @@
 /**
  * Aurora Aqua - Loader
- * Initial loading animation
+ * Initial loading animation, driven by real preload progress
  */
 
 import gsap from 'gsap';
 
 export class Loader {
-  constructor(onComplete) {
+  constructor(onComplete, options = {}) {
     this.loader = document.getElementById('loader');
     this.onComplete = onComplete || (() => {});
-    this.minimumLoadTime = 1500; // Minimum time to show loader
+    this.minimumLoadTime = options.minimumLoadTime ?? 1500; // Minimum time to show loader
     this.startTime = Date.now();
+    this.progress = 0;
+  }
+
+  // 0..1; the bar only ever moves forward
+  setProgress(ratio) {
+    const progress = Math.max(this.progress, Math.min(1, ratio));
+    if (progress === this.progress) return;
+    this.progress = progress;
+
+    if (!this.loader) return;
+
+    gsap.to('.loader__bar', {
+      width: `${progress * 100}%`,
+      duration: 0.4,
+      ease: 'power2.out',
+      overwrite: true
+    });
+
+    const percent = Math.round(progress * 100);
+    const label = this.loader.querySelector('.loader__percent');
+    if (label) label.textContent = `${percent}%`;
+    this.loader.setAttribute('aria-valuenow', percent);
   }
 
   // Call when assets are ready
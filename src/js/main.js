@@ -11,13 +11,28 @@ import { PageTransitions } from './barba.js';
 import { Animations } from './animations.js';
 import { Navigation } from './navigation.js';
 import { CustomCursor } from './cursor.js';
+import { Loader } from './loader.js';
 import { FormHandler } from './form.js';
-
-// Page scenes
-import { HomeScene } from './scenes/HomeScene.js';
-import { AboutScene } from './scenes/AboutScene.js';
-import { ServicesScene } from './scenes/ServicesScene.js';
-import { ContactScene } from './scenes/ContactScene.js';
+import { VisibilityScheduler } from './visibility.js';
+import { InputService } from './input.js';
+import { Soundscape } from './soundscape.js';
+
+// Persistent WebGL context shared by every page scene
+import { SharedRenderer } from './three/SharedRenderer.js';
+import { AssetManager } from './three/AssetManager.js';
+import { downloadCapture } from './three/FrameCapture.js';
+import { getPerformanceTier } from './utils/device.js';
+import { getSeed } from './utils/random.js';
+
+// Page scenes (namespace → scene class)
+import {
+  getSceneClass,
+  getSceneManifest,
+  getSceneAmbience,
+  getNamespaceForUrl,
+  isWebGLAvailable,
+  disableWebGL
+} from './scenes/registry.js';
 
 class AuroraAqua {
   constructor() {
@@ -25,7 +40,22 @@ class AuroraAqua {
     this.animations = null;
     this.navigation = null;
     this.cursor = null;
+    this.input = null;
+    this.soundscape = null;
     this.currentScene = null;
+    this.outgoingScene = null;
+    // Scene still building; bumped token per initializeScene() call
+    this.pendingScene = null;
+    this.sceneToken = 0;
+    this.sceneReady = Promise.resolve();
+    this.sharedRenderer = null;
+    // Outlives navigations, so assets are fetched once per visit
+    this.assetManager = new AssetManager();
+    this.loader = null;
+    this.unsubscribeSceneScroll = null;
+    this.visibility = null;
+    this.inspector = null;
+    this.captureRequest = this.getCaptureRequest();
     this.pageTransitions = null;
     
     console.log('🌊 Aurora Aqua Initializing...');
@@ -35,38 +65,90 @@ class AuroraAqua {
   }
 
   init() {
-    // Go straight into the page — no loader
-    this.preload().then(() => {
-      this.onLoadComplete();
-    }).catch(() => {
-      this.onLoadComplete();
+    // The loader bar follows the preload; the page starts once it lifts
+    this.loader = new Loader(() => this.onLoadComplete(), { minimumLoadTime: 400 });
+
+    this.preload().catch((error) => {
+      console.warn('⚠️ Preload error:', error);
+    }).then(() => {
+      this.loader.complete();
     });
   }
 
   async preload() {
+    // Weighted parts: each image and the fonts count 1, scene assets by type
+    const parts = [];
+    const report = () => {
+      const total = parts.reduce((sum, part) => sum + part.weight, 0);
+      const loaded = parts.reduce((sum, part) => sum + part.weight * part.ratio, 0);
+      if (total > 0) this.loader.setProgress(loaded / total);
+    };
+    const track = (weight) => {
+      const part = { weight, ratio: 0 };
+      parts.push(part);
+      return (ratio) => {
+        part.ratio = ratio;
+        report();
+      };
+    };
+
     // Preload critical assets
     const preloadImages = document.querySelectorAll('img[data-src]');
     const promises = [];
 
     preloadImages.forEach(img => {
+      const done = track(1);
       promises.push(new Promise((resolve) => {
         const image = new Image();
         image.onload = resolve;
         image.onerror = resolve;
         image.src = img.dataset.src;
         img.src = img.dataset.src;
-      }));
+      }).then(() => done(1)));
     });
 
     // Wait for fonts
     if (document.fonts && document.fonts.ready) {
-      promises.push(document.fonts.ready);
+      const done = track(1);
+      promises.push(document.fonts.ready.then(() => done(1)));
+    }
+
+    // The first scene's textures, models and sounds
+    const manifest = getSceneManifest(this.getNamespace());
+    if (manifest.length) {
+      const onProgress = track(this.assetManager.getWeight(manifest));
+      promises.push(this.assetManager.load(manifest, { onProgress }));
     }
 
     await Promise.all(promises);
     return true;
   }
 
+  getNamespace() {
+    return document.querySelector('[data-barba-namespace]')?.dataset.barbaNamespace 
+        || document.querySelector('[data-barba="container"]')?.dataset.barbaNamespace;
+  }
+
+  // Fetch a page's scene assets as soon as the visitor heads for its link
+  setupPrefetch() {
+    const prefetched = new Set();
+
+    const handler = (event) => {
+      const link = event.target.closest && event.target.closest('a[href]');
+      if (!link || link.origin !== window.location.origin) return;
+
+      const namespace = getNamespaceForUrl(link.href);
+      if (!namespace || namespace === this.getNamespace() || prefetched.has(namespace)) return;
+
+      prefetched.add(namespace);
+      this.assetManager.prefetch(getSceneManifest(namespace));
+    };
+
+    document.addEventListener('pointerover', handler, { passive: true });
+    document.addEventListener('focusin', handler);
+    document.addEventListener('touchstart', handler, { passive: true });
+  }
+
   onLoadComplete() {
     console.log('🌊 Load complete, initializing...');
     
@@ -78,14 +160,36 @@ class AuroraAqua {
       // Listen for cinematic scroll lock/unlock events
       this.setupCinematicEvents();
 
+      // Show the static backdrop while the GL context is gone
+      this.setupContextEvents();
+
+      // Console access to seed and frame stepping
+      this.exposeDebugApi();
+
+      // ?debug mounts the scene inspector
+      this.initInspector();
+
+      // Warm the asset cache for pages the visitor is about to open
+      this.setupPrefetch();
+
       // Initialize navigation
       this.navigation = new Navigation();
       console.log('✅ Navigation initialized');
 
+      // Pointer, touch and tilt for the cursor and every scene
+      this.input = new InputService();
+
       // Initialize cursor
-      this.cursor = new CustomCursor();
+      this.cursor = new CustomCursor(this.input);
       console.log('✅ Cursor initialized');
 
+      // Opt-in audio; the header toggle lives outside the Barba container
+      this.soundscape = new Soundscape();
+      this.soundscape.bindToggle(document.getElementById('sound-toggle'));
+
+      // Suspend render loops while the canvas can't be seen
+      this.initVisibility();
+
       // Initialize animations for current page
       this.animations = new Animations();
       this.animations.initPageAnimations();
@@ -95,7 +199,7 @@ class AuroraAqua {
       this.initForm();
 
       // Initialize 3D scene for current page
-      this.initializeScene();
+      this.sceneReady = this.initializeScene();
 
       // Initialize page transitions
       this.initBarba();
@@ -136,6 +240,135 @@ class AuroraAqua {
     window.addEventListener('cinematicComplete', () => {
       console.log('🎬 Cinematic sequence complete');
     });
+
+    // Scene objects that link to a section of the page
+    window.addEventListener('scrollToTarget', (e) => {
+      const element = document.querySelector(e.detail.target);
+      if (!element || !this.smoothScroll) return;
+
+      const header = document.querySelector('.header');
+      this.smoothScroll.scrollTo(element, { offset: header ? -header.offsetHeight : 0 });
+
+      // Keyboard users continue reading where they landed
+      if (e.detail.focus) {
+        if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+        element.focus({ preventScroll: true });
+      }
+    });
+  }
+
+  setupContextEvents() {
+    window.addEventListener('webglContextLost', () => {
+      document.body.classList.add('webgl-lost');
+    });
+
+    window.addEventListener('webglContextRestored', () => {
+      document.body.classList.remove('webgl-lost');
+    });
+
+    // Dev helper: loseWebGLContext(3000) drops the context for 3s
+    if (import.meta.env.DEV) {
+      window.loseWebGLContext = (duration) => {
+        if (this.sharedRenderer) this.sharedRenderer.simulateContextLoss(duration);
+      };
+    }
+  }
+
+  // e.g. auroraAqua.seek(4.3) freezes the scene 4.3s after its start,
+  // auroraAqua.step() advances one 60fps frame, auroraAqua.play() resumes,
+  // auroraAqua.capture({ duration: 12 }) downloads a WebM of the scene
+  exposeDebugApi() {
+    const seed = getSeed();
+    console.log(`🎲 Scene seed: ${seed} (reload with ?seed=${seed} to reproduce)`);
+
+    window.auroraAqua = {
+      seed,
+      seek: (time) => this.currentScene?.seek?.(time),
+      step: (delta) => this.currentScene?.step?.(delta),
+      play: () => this.currentScene?.play?.(),
+      capture: (options) => this.captureScene(options),
+      getScene: () => this.currentScene,
+    };
+  }
+
+  /**
+   * ?capture[=webm|png]&duration=8&fps=30&width=1920&height=1080&start=0
+   * records the first scene once it starts.
+   */
+  getCaptureRequest() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('capture')) return null;
+
+    const request = { format: params.get('capture') || 'webm' };
+    ['duration', 'fps', 'width', 'height', 'start'].forEach(key => {
+      const value = parseFloat(params.get(key));
+      if (Number.isFinite(value)) request[key] = value;
+    });
+    return request;
+  }
+
+  async captureScene(options = {}) {
+    const scene = this.currentScene;
+    if (!scene || typeof scene.capture !== 'function') {
+      console.warn('🎥 Capture needs a running WebGL scene');
+      return null;
+    }
+
+    try {
+      const result = await scene.capture(options);
+      if (result && options.download !== false) {
+        await downloadCapture(result, `aurora-${this.getNamespace()}-${getSeed()}`);
+      }
+      console.log('🎥 Capture complete', result);
+      return result;
+    } catch (error) {
+      console.error('🎥 Capture failed:', error);
+      return null;
+    }
+  }
+
+  async initInspector() {
+    if (!new URLSearchParams(window.location.search).has('debug')) return;
+
+    // Loaded on demand so regular visitors never download it
+    const { SceneInspector } = await import('./inspector.js');
+    this.inspector = new SceneInspector();
+    if (this.currentScene) this.inspector.attach(this.currentScene);
+  }
+
+  initVisibility() {
+    const container = document.getElementById('canvas-container');
+    this.visibility = new VisibilityScheduler(container);
+
+    this.visibility.onChange((visible, { page }) => {
+      // Outgoing scene too - a transition may be mid-blend
+      [this.currentScene, this.outgoingScene].forEach(scene => {
+        if (!scene) return;
+        if (visible) {
+          scene.resume();
+        } else {
+          scene.pause();
+        }
+      });
+
+      // The cursor is page chrome - it only stops with the tab
+      if (this.cursor) {
+        if (page) {
+          this.cursor.resume();
+        } else {
+          this.cursor.pause();
+        }
+      }
+
+      // So is the soundscape
+      if (this.soundscape) {
+        if (page) {
+          this.soundscape.resume();
+        } else {
+          this.soundscape.suspend();
+        }
+      }
+    });
   }
 
   initForm() {
@@ -145,70 +378,119 @@ class AuroraAqua {
     }
   }
 
-  initializeScene() {
-    const namespace = document.querySelector('[data-barba-namespace]')?.dataset.barbaNamespace 
-                   || document.querySelector('[data-barba="container"]')?.dataset.barbaNamespace;
+  async initializeScene() {
+    const namespace = this.getNamespace();
     const container = document.getElementById('canvas-container');
 
     console.log('🌊 Initializing scene:', namespace, 'Container:', container);
 
+    // Crossfade the ambience with the page, WebGL or not
+    if (this.soundscape) {
+      this.soundscape.setAmbience(getSceneAmbience(namespace));
+    }
+
     if (!container) {
       console.warn('Canvas container not found!');
       return;
     }
 
-    // Clean up existing scene
+    // Clean up existing scene, and any scene an earlier call is building
+    const token = ++this.sceneToken;
     if (this.currentScene) {
       this.currentScene.destroy();
       this.currentScene = null;
     }
+    if (this.pendingScene) {
+      this.pendingScene.destroy();
+      this.pendingScene = null;
+    }
+
+    let scene = null;
 
     try {
-      // Create scene based on page
-      console.log('🌊 Creating scene for:', namespace);
-      switch (namespace) {
-        case 'home':
-          this.currentScene = new HomeScene(container);
-          break;
-        case 'about':
-          this.currentScene = new AboutScene(container);
-          break;
-        case 'services':
-          this.currentScene = new ServicesScene(container);
-          break;
-        case 'contact':
-          this.currentScene = new ContactScene(container);
-          break;
-        default:
-          console.log('🌊 Default case: creating HomeScene');
-          this.currentScene = new HomeScene(container);
+      // The renderer outlives every scene; create it once
+      if (!this.sharedRenderer && isWebGLAvailable()) {
+        try {
+          this.sharedRenderer = new SharedRenderer(container);
+        } catch (error) {
+          console.warn('⚠️ WebGL renderer unavailable, using fallback backdrops', error);
+          disableWebGL();
+        }
       }
-      console.log('✅ Scene created:', this.currentScene);
+
+      // Create scene based on page (FallbackScene without WebGL)
+      console.log('🌊 Creating scene for:', namespace);
+      const SceneClass = getSceneClass(namespace);
+      scene = new SceneClass(container, {
+        sharedRenderer: this.sharedRenderer,
+        assetManager: this.assetManager,
+        input: this.input,
+        audio: this.soundscape,
+        namespace
+      });
+      this.pendingScene = scene;
+
+      await scene.init();
+      console.log('✅ Scene created:', scene);
+
+      // A navigation may have replaced the scene while it was building
+      if (token !== this.sceneToken) return;
+
+      // Only a fully built scene is paused, resumed or transitioned
+      this.pendingScene = null;
+      this.currentScene = scene;
 
       // Start rendering
-      if (this.currentScene) {
-        this.currentScene.start();
-        console.log('🌊 3D Scene started!');
-        
-        // Connect scroll to scene
-        if (this.smoothScroll) {
-          this.smoothScroll.onScroll((e) => {
-            if (this.currentScene && this.currentScene.onScroll) {
-              this.currentScene.onScroll(e.scroll, e.limit);
-            }
-          });
-        }
+      await scene.start();
+      console.log('🌊 3D Scene started!');
+
+      if (this.inspector) this.inspector.attach(scene);
+
+      // ?capture records the first scene from its very first frame
+      if (this.captureRequest) {
+        const request = this.captureRequest;
+        this.captureRequest = null;
+        this.captureScene(request);
+      }
+
+      // Started while hidden (background tab) - hold until visible
+      if (this.visibility && !this.visibility.isVisible()) {
+        await scene.pause();
+      }
+      
+      // Connect scroll to scene (once — the callback reads currentScene)
+      if (this.smoothScroll && !this.unsubscribeSceneScroll) {
+        this.unsubscribeSceneScroll = this.smoothScroll.onScroll((e) => {
+          if (this.currentScene) {
+            this.currentScene.onScroll(e.scroll, e.limit);
+          }
+        });
       }
     } catch (error) {
       console.error('Scene initialization error:', error);
+
+      // Drop the half-built scene so nothing calls into it later
+      if (scene) {
+        if (this.pendingScene === scene) this.pendingScene = null;
+        if (this.currentScene === scene) this.currentScene = null;
+        scene.destroy();
+      }
     }
   }
 
+  // WebGL transitions need the shared context and a capable device
+  supportsSceneTransitions() {
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return Boolean(this.sharedRenderer) && !reducedMotion && getPerformanceTier() !== 'low';
+  }
+
   initBarba() {
     this.pageTransitions = new PageTransitions({
-      onBeforeLeave: (data) => {
-        // Pause current scene rendering
-        if (this.currentScene) {
+      webgl: this.supportsSceneTransitions(),
+
+      onBeforeLeave: (data, { webgl } = {}) => {
+        // Pause current scene rendering (WebGL mode keeps it live to blend)
+        if (this.currentScene && !webgl) {
           this.currentScene.pause();
         }
         
@@ -218,14 +500,21 @@ class AuroraAqua {
         }
       },
 
-      onLeave: (data) => {
+      onLeave: (data, { webgl } = {}) => {
         // Cleanup animations
         if (this.animations) {
           this.animations.destroy();
         }
 
-        // Destroy current scene
-        if (this.currentScene) {
+        if (!this.currentScene) return;
+
+        if (webgl) {
+          // Hand the scene off; it is destroyed once the blend finishes
+          this.outgoingScene = this.currentScene;
+          this.currentScene = null;
+          this.sharedRenderer.beginTransition();
+        } else {
+          // Destroy current scene
           this.currentScene.destroy();
           this.currentScene = null;
         }
@@ -237,10 +526,24 @@ class AuroraAqua {
           this.smoothScroll.reset();
         }
 
-        // Initialize new scene
-        setTimeout(() => {
-          this.initializeScene();
-        }, 100);
+        // Initialize new scene straight away — the shared renderer keeps
+        // the previous frame on screen until the new scene draws
+        this.sceneReady = this.initializeScene();
+      },
+
+      onSceneTransition: async (data, options) => {
+        try {
+          // Blend only once the incoming scene has drawn its first frame
+          await this.sceneReady;
+          await this.sharedRenderer.runTransition(options);
+        } catch (error) {
+          console.error('Scene transition error:', error);
+        }
+
+        if (this.outgoingScene) {
+          this.outgoingScene.destroy();
+          this.outgoingScene = null;
+        }
       },
 
       onAfterEnter: (data) => {
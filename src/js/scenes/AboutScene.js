@@ -7,22 +7,19 @@
  * Each layer represents a phase of the company story.
  */
 
-import { SceneManager } from '../three/SceneManager.js';
+import { BaseScene } from './BaseScene.js';
 import { ParticleSystem } from '../three/ParticleSystem.js';
 import { LightingSetup } from '../three/LightingSetup.js';
-import { isMobile, getPerformanceTier } from '../utils/device.js';
 import * as THREE from 'three';
 import gsap from 'gsap';
 
-export class AboutScene {
-  constructor(container) {
-    this.container = container;
-    this.sceneManager = null;
+export class AboutScene extends BaseScene {
+  static ambience = { rumble: 1, bubbles: 0.4 };
+
+  constructor(container, options = {}) {
+    super(container, options);
     this.particles = [];
     this.lighting = null;
-    this.scrollProgress = 0;
-    this.performanceTier = getPerformanceTier();
-    this.isMobile = isMobile();
     
     // Geometry layers we descend through
     this.storyLayers = [];
@@ -35,16 +32,25 @@ export class AboutScene {
     this.collapsedLayers = new Set();
     
     console.log('📖 AboutScene: Creating DESCENT experience...', { tier: this.performanceTier });
-    this.init();
   }
 
-  init() {
-    this.sceneManager = new SceneManager(this.container);
+  getSceneOptions() {
+    return {
+      // Gradient fog that changes with depth
+      fog: { color: 0x041e42, density: 0.004 },
+      effects: {
+        bloom: { strength: 0.7, radius: 0.4, threshold: 0.6 },
+        underwater: { strength: 0.002, speed: 0.6 },
+        grading: { color: 0x041e42, near: 40, far: 400, strength: 0.5 },
+        vignette: { darkness: 0.55, offset: 1.0 }
+      },
+      environment: { preset: 'deep', intensity: 0.8 }
+    };
+  }
+
+  build() {
     const scene = this.sceneManager.getScene();
     
-    // Gradient fog that changes with depth
-    scene.fog = new THREE.FogExp2(0x041e42, 0.004);
-    
     // Lighting
     this.lighting = new LightingSetup(scene);
     this.setupLayeredLighting();
@@ -61,11 +67,6 @@ export class AboutScene {
     // Camera
     this.setupCamera();
     
-    // Update
-    this.sceneManager.onUpdate((delta, elapsed) => {
-      this.update(delta, elapsed);
-    });
-    
     console.log('✅ AboutScene: DESCENT ready');
   }
 
@@ -201,9 +202,9 @@ export class AboutScene {
       for (let i = 0; i < 8; i++) {
         const node = new THREE.Mesh(nodeGeo, nodeMat.clone());
         node.position.set(
-          (Math.random() - 0.5) * 100,
-          (Math.random() - 0.5) * 40,
-          (Math.random() - 0.5) * 100
+          (this.random() - 0.5) * 100,
+          (this.random() - 0.5) * 40,
+          (this.random() - 0.5) * 100
         );
         group.add(node);
       }
@@ -343,6 +344,8 @@ export class AboutScene {
         size: this.isMobile ? config.size * 0.5 : config.size,
         spread: config.spread,
         speed: config.speed,
+        tier: this.performanceTier,
+        random: this.random,
         color1: config.color1,
         color2: config.color2
       });
@@ -354,48 +357,93 @@ export class AboutScene {
 
   setupCamera() {
     const camera = this.sceneManager.getCamera();
+    camera.position.set(0, 120, 80);
+    
+    // Vertical descent path - the look-at point leads the camera down
+    this.createCameraRig({
+      keyframes: [
+        { at: 0, position: [0, 120, 80], target: [0, 70, -30] },
+        { at: 1, position: [0, -350, 40], target: [0, -430, -30] }
+      ],
+      damping: 0.035,
+      parallax: { x: 8, y: 4, smoothing: 1 }
+    });
+  }
+
+  // Follows the rig from its first keyframe (y 120) to its last (y -350)
+  getAudioDepth() {
+    return (120 - this.camera.position.y) / 470;
+  }
+
+  getDebugParams() {
+    return { camera: this.cameraRig.tuning };
+  }
+
+  getScrollTracks() {
+    const scene = this.sceneManager.getScene();
+    const vision = this.storyLayers[3].mesh;
+    
+    const tracks = [
+      // Origin light fades as we descend
+      { target: this.originLight, property: 'intensity', keys: [
+        { at: 0, value: 3 },
+        { at: 0.75, value: 0 }
+      ] },
+      
+      // Destination light grows
+      { target: this.destinationLight, property: 'intensity', keys: [
+        { at: 0.6, value: 0 },
+        { at: 1, value: 3.2 }
+      ] },
+      
+      // Fog thickens with depth
+      { target: scene.fog, property: 'density', keys: [
+        { at: 0, value: 0.003 },
+        { at: 1, value: 0.009 }
+      ] }
+    ];
     
-    this.cameraPath = {
-      startY: 120,
-      endY: -350,
-      startZ: 80,
-      endZ: 40
-    };
+    // Layer lights peak as we pass each layer
+    this.layerLights.forEach((light, i) => {
+      tracks.push({ target: light, property: 'intensity', keys: [
+        { at: i / 4 - 0.25, value: 0 },
+        { at: i / 4, value: 2 },
+        { at: i / 4 + 0.25, value: 0 }
+      ] });
+    });
+    
+    // Destination layer reveals, rings trailing the core
+    vision.children.forEach(child => {
+      const delay = child.userData.delay || 0;
+      tracks.push({ target: child, property: 'scale', keys: [
+        { at: 0.65 + delay * 0.35, value: 0 },
+        { at: 1, value: 1.2 * (1 - delay) }
+      ] });
+    });
     
-    camera.position.set(0, this.cameraPath.startY, this.cameraPath.startZ);
-    camera.lookAt(0, 50, 0);
+    return tracks;
   }
 
   update(delta, elapsed) {
     this.lighting.update(elapsed);
     this.updateCamera(elapsed);
     this.updateLayers(elapsed);
-    this.updateLighting();
     this.checkLayerCollapse();
   }
 
   updateCamera(elapsed) {
-    const camera = this.sceneManager.getCamera();
+    const rig = this.cameraRig;
     const progress = this.scrollProgress;
     
-    // Vertical descent path
-    const targetY = this.cameraPath.startY + (this.cameraPath.endY - this.cameraPath.startY) * progress;
-    const targetZ = this.cameraPath.startZ + (this.cameraPath.endZ - this.cameraPath.startZ) * progress;
-    
     // Add dramatic sway - break symmetry
     const swayX = Math.sin(elapsed * 0.3 + progress * 5) * (10 + progress * 15);
     const swayZ = Math.cos(elapsed * 0.25) * 8;
     
-    camera.position.x += (swayX - camera.position.x) * 0.03;
-    camera.position.y += (targetY - camera.position.y) * 0.04;
-    camera.position.z += (targetZ + swayZ - camera.position.z) * 0.03;
-    
-    // Look ahead on the descent
-    const lookY = camera.position.y - 50 - progress * 30;
-    camera.lookAt(swayX * 0.3, lookY, -30);
+    rig.offset.set(swayX, 0, swayZ);
+    rig.targetOffset.set(swayX * 0.3, 0, 0);
     
     // Slight roll for drama
-    camera.rotation.z = Math.sin(progress * Math.PI * 2) * 0.03;
+    rig.roll = Math.sin(progress * Math.PI * 2) * 0.03;
   }
 
   updateLayers(elapsed) {
@@ -423,27 +471,6 @@ export class AboutScene {
     });
   }
 
-  updateLighting() {
-    const progress = this.scrollProgress;
-    
-    // Origin light fades as we descend
-    this.originLight.intensity = Math.max(0, 3 - progress * 4);
-    
-    // Layer lights activate as we pass
-    this.layerLights.forEach((light, i) => {
-      const layerProgress = i / 4;
-      const distance = Math.abs(progress - layerProgress);
-      light.intensity = Math.max(0, 2 - distance * 8);
-    });
-    
-    // Destination light grows
-    this.destinationLight.intensity = Math.max(0, (progress - 0.6) * 8);
-    
-    // Fog changes color with depth
-    const scene = this.sceneManager.getScene();
-    scene.fog.density = 0.003 + progress * 0.006;
-  }
-
   checkLayerCollapse() {
     const progress = this.scrollProgress;
     
@@ -454,16 +481,6 @@ export class AboutScene {
       if (progress > layerThreshold + 0.1 && !layer.collapsed) {
         this.collapseLayer(i);
       }
-      
-      // Reveal destination layer
-      if (i === 3 && progress > 0.65) {
-        const revealProgress = (progress - 0.65) / 0.35;
-        layer.mesh.children.forEach((child, j) => {
-          const delay = child.userData.delay || 0;
-          const p = Math.max(0, revealProgress - delay);
-          child.scale.setScalar(p * 1.2);
-        });
-      }
     });
   }
 
@@ -513,31 +530,7 @@ export class AboutScene {
     });
   }
 
-  start() {
-    if (this.sceneManager) {
-      this.sceneManager.start();
-      this.animateIn();
-    }
-  }
-
-  pause() {
-    if (this.sceneManager) {
-      this.sceneManager.stop();
-    }
-  }
-
-  onScroll(scrollY, scrollLimit) {
-    if (scrollLimit > 0) {
-      this.scrollProgress = Math.max(0, Math.min(1, scrollY / scrollLimit));
-    }
-  }
-
-  destroy() {
+  teardown() {
     if (this.lighting) this.lighting.dispose();
-    if (this.sceneManager) this.sceneManager.dispose();
-  }
-
-  dispose() {
-    this.destroy();
   }
 }
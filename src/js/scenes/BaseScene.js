@@ -0,0 +1,361 @@
+/**
+ * Aurora Aqua - Base Scene
+ * Lifecycle contract shared by every page scene:
+ * init → start → pause ⇄ resume → destroy, plus onScroll and onResize.
+ * Lifecycle methods return promises so the app can await each step.
+ */
+
+import gsap from 'gsap';
+import { SceneManager } from '../three/SceneManager.js';
+import { CameraRig } from '../three/CameraRig.js';
+import { ScrollTracks } from '../three/ScrollTracks.js';
+import { isMobile, getPerformanceTier } from '../utils/device.js';
+import { createRandom } from '../utils/random.js';
+
+export class BaseScene {
+  /**
+   * Assets the scene needs before build(): URL strings or
+   * { url, type?, weight?, key? } (see AssetManager). Read statically
+   * so the next page's assets can be prefetched before it exists.
+   */
+  static manifest = [];
+
+  /**
+   * Soundscape layer mix for the page: { wind, rumble, bubbles } in
+   * 0..1. Static, so the mix is known even when WebGL is unavailable.
+   */
+  static ambience = {};
+
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = options;
+    this.sharedRenderer = options.sharedRenderer || null;
+    this.assetManager = options.assetManager || null;
+    // Shared pointer/touch/tilt input - subscribe instead of binding window
+    this.input = options.input || null;
+    // Soundscape, told the camera depth every frame
+    this.audio = options.audio || null;
+    this.sceneManager = null;
+    this.scene = null;
+    this.camera = null;
+    this.cameraRig = null;
+    this.scrollTracks = null;
+    this.scrollProgress = 0;
+    this.performanceTier = options.performanceTier || getPerformanceTier();
+    this.isMobile = isMobile();
+
+    // Seeded per namespace - use this.random() instead of Math.random()
+    this.random = options.random || createRandom(options.namespace || 'scene');
+
+    // idle → ready → running ⇄ paused → destroyed
+    this.state = 'idle';
+
+    // Tweens created by scene hooks are collected here so pause()
+    // can freeze them along with the render loop
+    this.gsapContext = gsap.context(() => {});
+    this.pausedTweens = [];
+
+    // Global GSAP time that corresponds to scene time 0
+    this.tweenOrigin = 0;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // SUBCLASS HOOKS
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * SceneManager options for this scene (camera, fog, rendererSettings,
+   * effects, environment).
+   * @returns {object}
+   */
+  getSceneOptions() {
+    return {};
+  }
+
+  // Create lights, meshes and handlers. May return a promise.
+  build() {}
+
+  /**
+   * Scroll-keyed parameter tracks (see ScrollTracks), read after build().
+   * They are applied before update(), which may add to them.
+   * @returns {Array}
+   */
+  getScrollTracks() {
+    return [];
+  }
+
+  /**
+   * How deep the camera is for the soundscape's low-pass filter,
+   * read every frame after the camera has moved.
+   * @returns {number} 0 at the surface, 1 at the deepest point
+   */
+  getAudioDepth() {
+    return 0;
+  }
+
+  // Per-frame update, driven by SceneManager
+  update(delta, elapsed) {}
+
+  // Entry animation, played right before the first frame
+  animateIn() {}
+
+  // Release listeners, observers and timers owned by the scene
+  teardown() {}
+
+  // Viewport changed; the camera aspect is already updated
+  onResize(width, height) {}
+
+  // The quality governor moved to another tier
+  onQualityChange(tier, previous) {}
+
+  // The GL context came back; rebuild GPU-only resources (not the intro)
+  onContextRestored() {}
+
+  /**
+   * Plain objects whose numeric fields the ?debug inspector may edit.
+   * @returns {Object<string, object>}
+   */
+  getDebugParams() {
+    return {};
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // LIFECYCLE
+  // ═══════════════════════════════════════════════════════════
+
+  async init() {
+    if (this.state !== 'idle') return;
+
+    // Usually a cache hit - the loader or a prefetch fetched them already
+    if (this.assetManager) {
+      await this.assetManager.load(this.constructor.manifest);
+      if (this.state !== 'idle') return;
+    }
+
+    const sceneOptions = this.getSceneOptions();
+
+    // `environment.hdr` names a manifest HDR; if it failed to load the
+    // generated environment is used instead
+    if (sceneOptions.environment && sceneOptions.environment.hdr) {
+      sceneOptions.environment = {
+        ...sceneOptions.environment,
+        texture: this.getAsset(sceneOptions.environment.hdr)
+      };
+    }
+
+    this.sceneManager = new SceneManager(this.container, {
+      sharedRenderer: this.sharedRenderer,
+      performanceTier: this.performanceTier,
+      clock: this.options.clock,
+      label: this.options.namespace,
+      input: this.input,
+      ...sceneOptions
+    });
+    this.scene = this.sceneManager.getScene();
+    this.camera = this.sceneManager.getCamera();
+
+    await this.captureTweens(() => this.build());
+    // destroy() may have run while an async build was pending
+    if (this.state !== 'idle') return;
+
+    const tracks = this.getScrollTracks();
+    if (tracks.length) this.scrollTracks = new ScrollTracks(tracks);
+
+    // The rig moves after update() so offsets set this frame apply now
+    this.sceneManager.onUpdate((delta, elapsed) => {
+      if (this.scrollTracks) this.scrollTracks.update(this.scrollProgress);
+      this.captureTweens(() => this.update(delta, elapsed));
+      if (this.cameraRig) this.cameraRig.update(delta, elapsed, this.scrollProgress);
+      if (this.audio) this.audio.setDepth(this.getAudioDepth());
+    });
+    this.sceneManager.onResize((width, height) => {
+      if (this.scrollTracks) this.scrollTracks.invalidate();
+      if (this.cameraRig) this.cameraRig.resize(width, height);
+      this.onResize(width, height);
+    });
+    this.sceneManager.onQualityChange((tier, previous) => {
+      this.performanceTier = tier;
+      this.onQualityChange(tier, previous);
+    });
+    this.sceneManager.onContextRestored(() => this.onContextRestored());
+
+    this.state = 'ready';
+  }
+
+  async start() {
+    if (this.state !== 'ready') return;
+
+    // The page transition is over; section anchors have settled
+    if (this.scrollTracks) this.scrollTracks.invalidate();
+
+    this.tweenOrigin = gsap.globalTimeline.time();
+    this.captureTweens(() => this.animateIn());
+    this.sceneManager.start();
+    this.state = 'running';
+  }
+
+  // Stops the loop and freezes in-flight tweens; clocks keep their time
+  async pause() {
+    if (this.state !== 'running') return;
+
+    this.sceneManager.stop();
+    this.pausedTweens = this.gsapContext.getTweens()
+      .filter(tween => !tween.paused() && tween.totalProgress() < 1);
+    this.pausedTweens.forEach(tween => tween.pause());
+    this.state = 'paused';
+  }
+
+  async resume() {
+    if (this.state !== 'paused') return;
+
+    this.pausedTweens.forEach(tween => tween.resume());
+    this.pausedTweens = [];
+    this.syncTweenOrigin();
+    this.sceneManager.start();
+    this.state = 'running';
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // FRAME STEPPING
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Show the scene exactly as it is `time` seconds after start(),
+   * e.g. seek(4.3) lands mid-way through HomeScene's intro.
+   * Leaves the scene in manual time until play().
+   */
+  seek(time) {
+    if (!this.sceneManager || this.state === 'destroyed') return;
+
+    this.seekTweens(time);
+    this.sceneManager.seek(time);
+  }
+
+  step(delta = 1 / 60) {
+    if (!this.sceneManager || this.state === 'destroyed') return;
+
+    this.seekTweens(this.sceneManager.getElapsedTime() + delta);
+    this.sceneManager.step(delta);
+  }
+
+  // Back to realtime from wherever seek/step left off
+  play() {
+    if (!this.sceneManager || !this.sceneManager.isManual) return;
+
+    this.sceneManager.setManualTime(false);
+    this.gsapContext.getTweens().forEach(tween => {
+      if (tween.totalProgress() < 1) tween.resume();
+    });
+    this.syncTweenOrigin();
+
+    if (this.state === 'running') this.sceneManager.start();
+  }
+
+  /**
+   * Export the scene at a fixed size and frame rate, e.g.
+   * capture({ format: 'webm', duration: 12, fps: 60 }) for the intro.
+   * Options as FrameCapture; playback resumes afterwards.
+   * @returns {Promise<object>} Capture result
+   */
+  async capture(options = {}) {
+    if (!this.sceneManager || this.state === 'destroyed') return null;
+
+    const wasManual = this.sceneManager.isManual;
+
+    try {
+      return await this.sceneManager.capture({
+        ...options,
+        seek: (time) => this.seek(time),
+        step: (delta) => this.step(delta)
+      });
+    } finally {
+      if (!wasManual) this.play();
+    }
+  }
+
+  // Put every scene tween at the position it has at scene time `time`
+  seekTweens(time) {
+    const globalTime = this.tweenOrigin + time;
+
+    this.gsapContext.getTweens().forEach(tween => {
+      const localTime = (globalTime - tween.startTime()) * tween.timeScale();
+      tween.pause();
+      tween.totalTime(Math.max(0, Math.min(localTime, tween.totalDuration())), false);
+    });
+  }
+
+  syncTweenOrigin() {
+    this.tweenOrigin = gsap.globalTimeline.time() - this.sceneManager.getElapsedTime();
+  }
+
+  /**
+   * Run `fn` inside the scene's GSAP context. Hooks are already wrapped;
+   * call this from observers or timers that start scene tweens.
+   */
+  captureTweens(fn) {
+    this.pruneTweens();
+    return this.gsapContext.add(fn);
+  }
+
+  // Drop finished tweens so long-running scenes don't accumulate them
+  pruneTweens() {
+    const context = this.gsapContext;
+    if (context.data.length < 100) return;
+
+    context.data = context.data.filter(item => !(item.totalProgress && item.totalProgress() === 1));
+  }
+
+  /**
+   * Hand the scene camera to a CameraRig (options as CameraRig), usually
+   * from build(). The rig runs every frame after update().
+   * @returns {CameraRig}
+   */
+  createCameraRig(options = {}) {
+    if (this.cameraRig) this.cameraRig.dispose();
+
+    this.cameraRig = new CameraRig(this.camera, { input: this.input, ...options });
+    this.cameraRig.resize(this.sceneManager.width, this.sceneManager.height);
+    return this.cameraRig;
+  }
+
+  /**
+   * Dispose a resource with the scene. Anything left in the scene graph
+   * is collected automatically; track what lives outside it (geometry
+   * pools, textures in uniforms, cached materials).
+   */
+  track(resource) {
+    return this.sceneManager ? this.sceneManager.track(resource) : resource;
+  }
+
+  // A manifest asset by key (its URL unless the entry names one)
+  getAsset(key) {
+    return this.assetManager ? this.assetManager.get(key) : undefined;
+  }
+
+  onScroll(scrollY, scrollLimit) {
+    if (scrollLimit > 0) {
+      this.scrollProgress = Math.max(0, Math.min(1, scrollY / scrollLimit));
+    }
+  }
+
+  async destroy() {
+    if (this.state === 'destroyed') return;
+
+    this.state = 'destroyed';
+    await this.teardown();
+    this.gsapContext.kill();
+
+    if (this.cameraRig) this.cameraRig.dispose();
+    if (this.scrollTracks) this.scrollTracks.dispose();
+
+    if (this.sceneManager) this.sceneManager.dispose();
+  }
+
+  dispose() {
+    return this.destroy();
+  }
+
+  isRunning() {
+    return this.state === 'running';
+  }
+}
@@ -1,5 +1,12 @@
 import * as THREE from 'three';
 import gsap from 'gsap';
+import { BaseScene } from './BaseScene.js';
+import { RippleSimulation } from '../three/RippleSimulation.js';
+import { WaterSurface } from '../three/WaterSurface.js';
+
+// Per-tier budgets; buffers are sized for 'high' so quality can step back up
+const STAR_COUNTS = { low: 500, medium: 1000, high: 2000 };
+const OCEAN_SEGMENTS = { low: 64, medium: 96, high: 128 };
 
 /**
  * ContactScene - CALM AFTER THE STORM
@@ -15,28 +22,49 @@ import gsap from 'gsap';
  * - Sense of arrival, completion, openness
  */
 
-export class ContactScene {
-    constructor(container, performanceTier = 'medium') {
-        this.container = container;
-        this.performanceTier = performanceTier;
-        this.isActive = false;
-        this.animationId = null;
-        this.clock = new THREE.Clock();
+export class ContactScene extends BaseScene {
+    // Above the water under the night sky; depth stays at the surface
+    static ambience = { wind: 0.8 };
+    
+    static manifest = [
+        { url: 'textures/glow.svg', key: 'glow' }
+    ];
+
+    constructor(container, options = {}) {
+        super(container, options);
         
         // Scene state
         this.hasReachedPeace = false;
         this.starsRevealed = false;
+        this.peaceCall = null;
+        this.glowTexture = null;
+        this.ripples = null;
         
-        // Mouse for gentle parallax
-        this.mouse = { x: 0, y: 0 };
-        this.targetMouse = { x: 0, y: 0 };
-        
-        this.init();
+        // Extra height/distance the camera settles out of on entry
+        this.cameraIntro = { y: 0, z: 0 };
+    }
+    
+    getSceneOptions() {
+        return {
+            camera: { fov: 60, near: 0.1, far: 2000 },
+            // Twilight fog - purple/blue gradient feel
+            fog: { color: 0x0a0a1a, density: 0.008 },
+            rendererSettings: {
+                toneMappingExposure: 0.8,
+                pixelRatio: Math.min(window.devicePixelRatio,
+                    this.performanceTier === 'high' ? 2 : 1.5)
+            },
+            // Above water: stars and horizon glow bloom, no refraction
+            effects: {
+                bloom: { strength: 1.0, radius: 0.6, threshold: 0.5 },
+                grain: { amount: 0.04 },
+                grading: { color: 0x0a0a1a, near: 80, far: 900, strength: 0.4, desaturate: 0.2 },
+                vignette: { darkness: 0.8, offset: 1.0 }
+            }
+        };
     }
     
-    init() {
-        this.setupRenderer();
-        this.setupScene();
+    build() {
         this.setupCamera();
         this.setupLighting();
         this.createInfiniteOcean();
@@ -44,42 +72,20 @@ export class ContactScene {
         this.createStarfield();
         this.createRisingLights();
         this.createAmbientParticles();
-        this.setupEventListeners();
-    }
-    
-    setupRenderer() {
-        this.renderer = new THREE.WebGLRenderer({
-            antialias: this.performanceTier !== 'low',
-            alpha: true,
-            powerPreference: 'high-performance'
-        });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 
-            this.performanceTier === 'high' ? 2 : 1.5));
-        this.renderer.setClearColor(0x000000, 0);
-        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-        this.renderer.toneMappingExposure = 0.8;
-        this.container.appendChild(this.renderer.domElement);
-    }
-    
-    setupScene() {
-        this.scene = new THREE.Scene();
-        // Twilight fog - purple/blue gradient feel
-        this.scene.fog = new THREE.FogExp2(0x0a0a1a, 0.008);
     }
     
     setupCamera() {
-        this.camera = new THREE.PerspectiveCamera(
-            60,
-            window.innerWidth / window.innerHeight,
-            0.1,
-            2000
-        );
         // Camera floats gently above calm water, looking at horizon
         this.camera.position.set(0, 15, 80);
         this.camera.lookAt(0, 0, -500);
         
-        this.cameraBasePosition = { x: 0, y: 15, z: 80 };
+        // Fixed framing; the pointer drifts it (slowly) and sway is added per frame
+        this.createCameraRig({
+            keyframes: [{ at: 0, position: [0, 15, 80] }],
+            damping: 1,
+            parallax: { x: 8, y: 3, smoothing: 0.02 },
+            roll: 0
+        });
     }
     
     setupLighting() {
@@ -105,69 +111,39 @@ export class ContactScene {
     }
     
     createInfiniteOcean() {
-        // Vast, calm ocean surface
-        const oceanGeometry = new THREE.PlaneGeometry(2000, 2000, 128, 128);
-        
-        const oceanMaterial = new THREE.ShaderMaterial({
-            uniforms: {
-                uTime: { value: 0 },
-                uColorDeep: { value: new THREE.Color(0x0a0a1a) },
-                uColorSurface: { value: new THREE.Color(0x1a3a5c) },
-                uColorReflection: { value: new THREE.Color(0x2a4a6c) }
-            },
-            vertexShader: `
-                uniform float uTime;
-                varying vec2 vUv;
-                varying float vElevation;
-                
-                void main() {
-                    vUv = uv;
-                    vec3 pos = position;
-                    
-                    // Very gentle waves - this is CALM water
-                    float wave1 = sin(pos.x * 0.02 + uTime * 0.3) * 0.5;
-                    float wave2 = sin(pos.y * 0.015 + uTime * 0.2) * 0.3;
-                    float wave3 = sin((pos.x + pos.y) * 0.01 + uTime * 0.4) * 0.2;
-                    
-                    pos.z = wave1 + wave2 + wave3;
-                    vElevation = pos.z;
-                    
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform vec3 uColorDeep;
-                uniform vec3 uColorSurface;
-                uniform vec3 uColorReflection;
-                uniform float uTime;
-                varying vec2 vUv;
-                varying float vElevation;
-                
-                void main() {
-                    // Distance-based depth
-                    float dist = length(vUv - 0.5);
-                    
-                    // Blend deep to surface based on camera distance
-                    vec3 color = mix(uColorSurface, uColorDeep, dist);
-                    
-                    // Subtle reflection highlights on wave peaks
-                    float highlight = smoothstep(0.2, 0.8, vElevation + 0.5);
-                    color = mix(color, uColorReflection, highlight * 0.3);
-                    
-                    // Horizon fade
-                    float horizonFade = smoothstep(0.0, 0.5, 1.0 - vUv.y);
-                    
-                    gl_FragColor = vec4(color, 0.9 * horizonFade);
-                }
-            `,
-            transparent: true,
-            side: THREE.DoubleSide
+        // Ripples in front of the camera; the grid is far coarser than
+        // they are, so they bend the shading per pixel
+        this.ripples = new RippleSimulation(this.sceneManager.getRenderer(), {
+            area: 300,
+            height: 1.5,
+            tier: this.performanceTier
         });
+        this.sceneManager.addObject(this.ripples);
+        
+        // Vast ocean lit by the last of the sunset on the horizon; it
+        // enters with the storm's swell and settles (animateIn)
+        this.ocean = new WaterSurface({
+            width: 2000,
+            height: 2000,
+            segments: OCEAN_SEGMENTS,
+            tier: this.performanceTier,
+            position: { x: 0, y: 0, z: 0 },
+            preset: 'storm',
+            colors: { deep: 0x0a0a1a, surface: 0x1a3a5c, highlight: 0x2a4a6c },
+            opacity: 0.9,
+            diffuse: 0.05,
+            shimmer: 0.05,
+            sunDirection: new THREE.Vector3(0, 0.15, -1),
+            input: this.input,
+            ripples: this.ripples
+        });
+        // Updated, re-gridded on quality changes and disposed with the scene
+        this.sceneManager.addObject(this.ocean);
         
-        this.ocean = new THREE.Mesh(oceanGeometry, oceanMaterial);
-        this.ocean.rotation.x = -Math.PI / 2;
-        this.ocean.position.y = 0;
-        this.scene.add(this.ocean);
+        this.ripples.bindPointer(this.ocean.getMesh(), this.camera, {
+            input: this.input,
+            element: this.container
+        });
     }
     
     createHorizonGlow() {
@@ -222,8 +198,7 @@ export class ContactScene {
     
     createStarfield() {
         // Stars that emerge as night settles
-        const starCount = this.performanceTier === 'high' ? 2000 : 
-                         this.performanceTier === 'medium' ? 1000 : 500;
+        const starCount = STAR_COUNTS.high;
         
         const positions = new Float32Array(starCount * 3);
         const sizes = new Float32Array(starCount);
@@ -231,22 +206,23 @@ export class ContactScene {
         
         for (let i = 0; i < starCount; i++) {
             // Hemisphere above camera
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI * 0.4; // Upper hemisphere only
-            const radius = 400 + Math.random() * 400;
+            const theta = this.random() * Math.PI * 2;
+            const phi = this.random() * Math.PI * 0.4; // Upper hemisphere only
+            const radius = 400 + this.random() * 400;
             
             positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
             positions[i * 3 + 1] = radius * Math.cos(phi) + 100;
             positions[i * 3 + 2] = radius * Math.sin(phi) * Math.sin(theta) - 200;
             
-            sizes[i] = Math.random() * 2 + 0.5;
-            twinkle[i] = Math.random() * Math.PI * 2;
+            sizes[i] = this.random() * 2 + 0.5;
+            twinkle[i] = this.random() * Math.PI * 2;
         }
         
         const starGeometry = new THREE.BufferGeometry();
         starGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         starGeometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
         starGeometry.setAttribute('twinkle', new THREE.BufferAttribute(twinkle, 1));
+        starGeometry.setDrawRange(0, STAR_COUNTS[this.performanceTier]);
         
         const starMaterial = new THREE.ShaderMaterial({
             uniforms: {
@@ -304,7 +280,7 @@ export class ContactScene {
         const lightGeometry = new THREE.SphereGeometry(0.5, 8, 8);
         
         for (let i = 0; i < lightCount; i++) {
-            const hue = 0.4 + Math.random() * 0.2; // Cyan to green range
+            const hue = 0.4 + this.random() * 0.2; // Cyan to green range
             const color = new THREE.Color().setHSL(hue, 0.8, 0.6);
             
             const lightMaterial = new THREE.MeshBasicMaterial({
@@ -316,17 +292,19 @@ export class ContactScene {
             const light = new THREE.Mesh(lightGeometry, lightMaterial);
             
             // Random positions spread across the ocean
-            light.position.x = (Math.random() - 0.5) * 200;
-            light.position.y = -50 - Math.random() * 50; // Start deep
-            light.position.z = (Math.random() - 0.5) * 200 - 50;
+            light.position.x = (this.random() - 0.5) * 200;
+            light.position.y = -50 - this.random() * 50; // Start deep
+            light.position.z = (this.random() - 0.5) * 200 - 50;
             
             // Store animation parameters
             light.userData = {
-                speed: 0.2 + Math.random() * 0.3,
-                phase: Math.random() * Math.PI * 2,
-                maxY: 5 + Math.random() * 10,
+                speed: 0.2 + this.random() * 0.3,
+                phase: this.random() * Math.PI * 2,
+                maxY: 5 + this.random() * 10,
                 startY: light.position.y,
-                drift: (Math.random() - 0.5) * 0.02
+                startX: light.position.x,
+                drift: (this.random() - 0.5) * 0.02,
+                reveal: 0 // tweened in by animateIn
             };
             
             this.risingLights.push(light);
@@ -340,27 +318,37 @@ export class ContactScene {
     }
     
     createGlowSprite(color) {
+        // One white falloff texture for every light; the material tints it.
+        // The manifest sprite, or drawn here if it failed to load
+        if (!this.glowTexture) {
+            this.glowTexture = this.getAsset('glow') || this.track(this.createGlowTexture());
+        }
+        
+        const material = new THREE.SpriteMaterial({
+            map: this.glowTexture,
+            color: color,
+            transparent: true,
+            blending: THREE.AdditiveBlending
+        });
+        
+        return new THREE.Sprite(material);
+    }
+    
+    createGlowTexture() {
         const canvas = document.createElement('canvas');
         canvas.width = 64;
         canvas.height = 64;
         const ctx = canvas.getContext('2d');
         
         const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
-        gradient.addColorStop(0, `rgba(${color.r * 255}, ${color.g * 255}, ${color.b * 255}, 1)`);
-        gradient.addColorStop(0.4, `rgba(${color.r * 255}, ${color.g * 255}, ${color.b * 255}, 0.3)`);
-        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.3)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
         
         ctx.fillStyle = gradient;
         ctx.fillRect(0, 0, 64, 64);
         
-        const texture = new THREE.CanvasTexture(canvas);
-        const material = new THREE.SpriteMaterial({
-            map: texture,
-            transparent: true,
-            blending: THREE.AdditiveBlending
-        });
-        
-        return new THREE.Sprite(material);
+        return new THREE.CanvasTexture(canvas);
     }
     
     createAmbientParticles() {
@@ -372,18 +360,19 @@ export class ContactScene {
         const velocities = [];
         
         for (let i = 0; i < particleCount; i++) {
-            positions[i * 3] = (Math.random() - 0.5) * 150;
-            positions[i * 3 + 1] = Math.random() * 40;
-            positions[i * 3 + 2] = (Math.random() - 0.5) * 150;
+            positions[i * 3] = (this.random() - 0.5) * 150;
+            positions[i * 3 + 1] = this.random() * 40;
+            positions[i * 3 + 2] = (this.random() - 0.5) * 150;
             
             velocities.push({
-                x: (Math.random() - 0.5) * 0.02,
-                y: (Math.random() - 0.5) * 0.01,
-                z: (Math.random() - 0.5) * 0.02
+                x: (this.random() - 0.5) * 0.02,
+                y: (this.random() - 0.5) * 0.01,
+                z: (this.random() - 0.5) * 0.02
             });
         }
         
         this.particleVelocities = velocities;
+        this.particleBase = positions.slice();
         
         const particleGeometry = new THREE.BufferGeometry();
         particleGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -400,47 +389,21 @@ export class ContactScene {
         this.scene.add(this.ambientParticles);
     }
     
-    setupEventListeners() {
-        this.boundMouseMove = this.onMouseMove.bind(this);
-        this.boundResize = this.onResize.bind(this);
-        
-        window.addEventListener('mousemove', this.boundMouseMove);
-        window.addEventListener('resize', this.boundResize);
-    }
-    
-    onMouseMove(e) {
-        this.targetMouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-        this.targetMouse.y = (e.clientY / window.innerHeight) * 2 - 1;
-    }
-    
-    onResize() {
-        if (!this.camera || !this.renderer) return;
-        
-        this.camera.aspect = window.innerWidth / window.innerHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-    }
-    
-    start() {
-        if (this.isActive) return;
-        this.isActive = true;
-        this.clock.start();
-        this.animate();
-        this.playEntryAnimation();
-    }
-    
-    playEntryAnimation() {
+    animateIn() {
         // Camera gently settles into position
-        gsap.fromTo(this.camera.position,
-            { y: 30, z: 120 },
+        gsap.fromTo(this.cameraIntro,
+            { y: 15, z: 40 },
             { 
-                y: 15, 
-                z: 80, 
+                y: 0, 
+                z: 0, 
                 duration: 3, 
                 ease: 'power2.out' 
             }
         );
         
+        // Calm after the storm: the sea settles into a long, low swell
+        this.ocean.setPreset('swell', { duration: 6, ease: 'power2.out' });
+        
         // Stars fade in after a moment
         gsap.to(this.stars.material.uniforms.uOpacity, {
             value: 1,
@@ -455,53 +418,35 @@ export class ContactScene {
         
         // Rising lights begin their journey
         this.risingLights.forEach((light, i) => {
-            gsap.to(light.material, {
-                opacity: 0.8,
+            gsap.to(light.userData, {
+                reveal: 1,
                 duration: 2,
                 delay: 2 + i * 0.1,
                 ease: 'power2.out'
             });
         });
         
-        // Trigger peace event
-        setTimeout(() => {
+        // Trigger peace event (a delayed call, so it pauses with the scene)
+        this.peaceCall = gsap.delayedCall(4, () => {
             if (!this.hasReachedPeace) {
                 this.hasReachedPeace = true;
                 window.dispatchEvent(new CustomEvent('peaceReached'));
             }
-        }, 4000);
-    }
-    
-    stop() {
-        this.isActive = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
+        });
     }
     
-    animate() {
-        if (!this.isActive) return;
-        
-        this.animationId = requestAnimationFrame(() => this.animate());
-        
-        const time = this.clock.getElapsedTime();
-        
-        // Smooth mouse following
-        this.mouse.x += (this.targetMouse.x - this.mouse.x) * 0.02;
-        this.mouse.y += (this.targetMouse.y - this.mouse.y) * 0.02;
+    update(delta, elapsed) {
+        const time = elapsed;
         
         // Gentle camera sway - like floating on calm water
-        this.camera.position.x = this.cameraBasePosition.x + this.mouse.x * 8;
-        this.camera.position.y = this.cameraBasePosition.y + Math.sin(time * 0.3) * 0.5 + this.mouse.y * 3;
+        this.cameraRig.offset.set(
+            0,
+            this.cameraIntro.y + Math.sin(time * 0.3) * 0.5,
+            this.cameraIntro.z
+        );
         
         // Very subtle camera rotation
-        this.camera.rotation.z = this.mouse.x * 0.01;
-        
-        // Update ocean waves
-        if (this.ocean) {
-            this.ocean.material.uniforms.uTime.value = time;
-        }
+        this.cameraRig.roll = this.cameraRig.pointer.x * 0.01;
         
         // Update horizon glow
         if (this.horizonGlow) {
@@ -513,71 +458,77 @@ export class ContactScene {
             this.stars.material.uniforms.uTime.value = time;
         }
         
-        // Animate rising lights
+        // Lights and particles are closed-form in time (speeds were
+        // tuned per frame at 60fps), so seeking matches playback
+        this.updateRisingLights(time);
+        this.updateAmbientParticles(time);
+        
+        // Pulse bioluminescent light
+        if (this.bioLight) {
+            this.bioLight.intensity = 0.5 + Math.sin(time * 0.5) * 0.2;
+        }
+    }
+    
+    updateRisingLights(time) {
         this.risingLights.forEach(light => {
             const data = light.userData;
+            const range = data.maxY - data.startY;
+            const travelled = data.speed * 6 * time;
+            const cycle = Math.floor(travelled / range);
             
-            // Rise slowly
-            light.position.y += data.speed * 0.1;
+            // Rise slowly, restarting from the depths at the surface
+            light.position.y = data.startY + (travelled - cycle * range);
             
             // Gentle horizontal drift
-            light.position.x += Math.sin(time + data.phase) * data.drift;
+            light.position.x = data.startX - Math.cos(time + data.phase) * data.drift * 60;
             
-            // Reset when they reach the surface
-            if (light.position.y > data.maxY) {
-                light.position.y = data.startY;
-                light.material.opacity = 0;
-                gsap.to(light.material, { opacity: 0.8, duration: 1 });
-            }
+            // Each new ascent fades in over a second
+            const age = (travelled - cycle * range) / (data.speed * 6);
+            const fade = cycle === 0 ? 1 : Math.min(age, 1);
+            light.material.opacity = 0.8 * data.reveal * fade;
         });
-        
-        // Animate ambient particles
-        if (this.ambientParticles) {
-            const positions = this.ambientParticles.geometry.attributes.position.array;
-            for (let i = 0; i < positions.length / 3; i++) {
-                const vel = this.particleVelocities[i];
-                positions[i * 3] += vel.x;
-                positions[i * 3 + 1] += vel.y + Math.sin(time + i) * 0.005;
-                positions[i * 3 + 2] += vel.z;
-                
-                // Wrap around
-                if (Math.abs(positions[i * 3]) > 75) vel.x *= -1;
-                if (positions[i * 3 + 1] > 50 || positions[i * 3 + 1] < 0) vel.y *= -1;
-                if (Math.abs(positions[i * 3 + 2]) > 75) vel.z *= -1;
-            }
-            this.ambientParticles.geometry.attributes.position.needsUpdate = true;
+    }
+    
+    updateAmbientParticles(time) {
+        if (!this.ambientParticles) return;
+        
+        const positions = this.ambientParticles.geometry.attributes.position.array;
+        const base = this.particleBase;
+        
+        // Triangle wave - drift and bounce between the bounds
+        const bounce = (value, min, max) => {
+            const span = max - min;
+            const t = (((value - min) % (span * 2)) + span * 2) % (span * 2);
+            return min + (t < span ? t : span * 2 - t);
+        };
+        
+        for (let i = 0; i < positions.length / 3; i++) {
+            const vel = this.particleVelocities[i];
+            const i3 = i * 3;
+            
+            positions[i3] = bounce(base[i3] + vel.x * 60 * time, -75, 75);
+            positions[i3 + 1] = bounce(base[i3 + 1] + vel.y * 60 * time, 0, 50)
+                - Math.cos(time + i) * 0.3;
+            positions[i3 + 2] = bounce(base[i3 + 2] + vel.z * 60 * time, -75, 75);
         }
         
-        // Pulse bioluminescent light
-        if (this.bioLight) {
-            this.bioLight.intensity = 0.5 + Math.sin(time * 0.5) * 0.2;
+        this.ambientParticles.geometry.attributes.position.needsUpdate = true;
+    }
+    
+    onQualityChange(tier) {
+        if (this.stars) {
+            this.stars.geometry.setDrawRange(0, STAR_COUNTS[tier]);
         }
         
-        this.renderer.render(this.scene, this.camera);
+        // The ocean re-grids itself (WaterSurface.setQuality)
     }
     
-    destroy() {
-        this.stop();
-        
-        window.removeEventListener('mousemove', this.boundMouseMove);
-        window.removeEventListener('resize', this.boundResize);
-        
-        // Dispose geometries and materials
-        this.scene.traverse(obj => {
-            if (obj.geometry) obj.geometry.dispose();
-            if (obj.material) {
-                if (Array.isArray(obj.material)) {
-                    obj.material.forEach(m => m.dispose());
-                } else {
-                    obj.material.dispose();
-                }
-            }
-        });
-        
-        this.renderer.dispose();
-        
-        if (this.renderer.domElement.parentNode) {
-            this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
-        }
+    // Render targets come back empty
+    onContextRestored() {
+        if (this.ripples) this.ripples.reset();
+    }
+    
+    teardown() {
+        if (this.peaceCall) this.peaceCall.kill();
     }
 }
@@ -0,0 +1,273 @@
+/**
+ * Aurora Aqua - Fallback Scene
+ * Canvas2D backdrop for browsers without WebGL: a gradient ocean with
+ * drifting bubbles (or twilight stars on Contact), one look per page.
+ * Same lifecycle as BaseScene, so the app treats it like any scene.
+ */
+
+import { createRandom } from '../utils/random.js';
+import { getElementSize, observeSize } from '../utils/viewport.js';
+
+// Per-namespace backdrops; `deep` is the colour scrolling sinks toward
+const BACKDROPS = {
+  home: {
+    top: '#0a3d62',
+    bottom: '#041e42',
+    deep: '#020b18',
+    particle: '103, 232, 249',
+    count: 60,
+    motion: 'rise',
+    speed: 0.04,
+  },
+  about: {
+    top: '#0a3d62',
+    bottom: '#020b18',
+    deep: '#01060e',
+    particle: '34, 211, 238',
+    count: 80,
+    motion: 'rise',
+    speed: 0.02,
+  },
+  services: {
+    top: '#0c4a6e',
+    bottom: '#041e42',
+    deep: '#031530',
+    particle: '103, 232, 249',
+    count: 50,
+    motion: 'drift',
+    speed: 0.015,
+  },
+  contact: {
+    top: '#0a0a1a',
+    bottom: '#1a3a5c',
+    deep: '#05050d',
+    particle: '255, 255, 255',
+    count: 120,
+    motion: 'twinkle',
+    speed: 0,
+  },
+};
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function mixColor(a, b, t) {
+  const ca = hexToRgb(a);
+  const cb = hexToRgb(b);
+  const mixed = ca.map((channel, i) => Math.round(channel + (cb[i] - channel) * t));
+  return `rgb(${mixed.join(', ')})`;
+}
+
+export class FallbackScene {
+  // Drawn procedurally; nothing to load
+  static manifest = [];
+
+  constructor(container, options = {}) {
+    this.container = container;
+    this.options = options;
+    this.namespace = options.namespace || 'home';
+    this.config = BACKDROPS[this.namespace] || BACKDROPS.home;
+    this.random = options.random || createRandom(`fallback:${this.namespace}`);
+    this.scrollProgress = 0;
+    this.particles = [];
+    this.animationId = null;
+    this.lastTime = 0;
+    this.time = 0;
+    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    // idle → ready → running ⇄ paused → destroyed (as BaseScene)
+    this.state = 'idle';
+  }
+
+  async init() {
+    if (this.state !== 'idle') return;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'canvas-fallback';
+    this.canvas.style.position = 'absolute';
+    this.canvas.style.top = '0';
+    this.canvas.style.left = '0';
+    this.canvas.style.width = '100%';
+    this.canvas.style.height = '100%';
+    this.ctx = this.canvas.getContext('2d');
+    this.container.appendChild(this.canvas);
+
+    this.unobserveSize = observeSize(this.container, () => this.handleResize());
+    this.handleResize();
+
+    this.createParticles();
+
+    console.log(`🎨 FallbackScene: Canvas2D backdrop for "${this.namespace}"`);
+    this.state = 'ready';
+  }
+
+  createParticles() {
+    const { count, motion } = this.config;
+
+    for (let i = 0; i < count; i++) {
+      this.particles.push({
+        x: this.random(),
+        // Stars stay in the upper sky
+        y: motion === 'twinkle' ? this.random() * 0.6 : this.random(),
+        radius: motion === 'twinkle' ? 0.5 + this.random() : 1 + this.random() * 2.5,
+        speed: 0.5 + this.random(),
+        phase: this.random() * Math.PI * 2,
+        alpha: 0.2 + this.random() * 0.5,
+      });
+    }
+  }
+
+  handleResize() {
+    const ratio = Math.min(window.devicePixelRatio, 1.5);
+    const size = getElementSize(this.container);
+    this.width = size.width;
+    this.height = size.height;
+    this.canvas.width = Math.round(this.width * ratio);
+    this.canvas.height = Math.round(this.height * ratio);
+    this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    if (this.state !== 'running' || this.reducedMotion) this.draw();
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // LIFECYCLE
+  // ═══════════════════════════════════════════════════════════
+
+  async start() {
+    if (this.state !== 'ready') return;
+
+    this.state = 'running';
+    this.startLoop();
+  }
+
+  async pause() {
+    if (this.state !== 'running') return;
+
+    this.stopLoop();
+    this.state = 'paused';
+  }
+
+  async resume() {
+    if (this.state !== 'paused') return;
+
+    this.state = 'running';
+    this.startLoop();
+  }
+
+  onScroll(scrollY, scrollLimit) {
+    if (scrollLimit > 0) {
+      this.scrollProgress = Math.max(0, Math.min(1, scrollY / scrollLimit));
+    }
+
+    // Static backdrops still follow the scroll depth
+    if (!this.animationId) this.draw();
+  }
+
+  async destroy() {
+    if (this.state === 'destroyed') return;
+
+    this.state = 'destroyed';
+    this.stopLoop();
+    if (this.unobserveSize) this.unobserveSize();
+
+    if (this.canvas && this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
+    }
+    this.particles = [];
+  }
+
+  dispose() {
+    return this.destroy();
+  }
+
+  isRunning() {
+    return this.state === 'running';
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // DRAWING
+  // ═══════════════════════════════════════════════════════════
+
+  startLoop() {
+    // Reduced motion gets a single still frame
+    if (this.reducedMotion) {
+      this.draw();
+      return;
+    }
+
+    this.lastTime = performance.now();
+    this.animate();
+  }
+
+  stopLoop() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+
+  animate() {
+    this.animationId = requestAnimationFrame(this.animate.bind(this));
+
+    const now = performance.now();
+    const delta = Math.min((now - this.lastTime) / 1000, 0.1);
+    this.lastTime = now;
+    this.time += delta;
+
+    this.updateParticles(delta);
+    this.draw();
+  }
+
+  updateParticles(delta) {
+    const { motion, speed } = this.config;
+
+    this.particles.forEach(p => {
+      if (motion === 'rise') {
+        p.y -= speed * p.speed * delta;
+        p.x += Math.sin(this.time * 0.5 + p.phase) * 0.0004;
+        if (p.y < -0.05) {
+          p.y = 1.05;
+          p.x = this.random();
+        }
+      } else if (motion === 'drift') {
+        p.x += speed * p.speed * delta;
+        p.y += Math.sin(this.time * 0.4 + p.phase) * 0.0003;
+        if (p.x > 1.05) p.x = -0.05;
+      }
+    });
+  }
+
+  draw() {
+    const { ctx, width, height, config } = this;
+    const depth = this.scrollProgress * 0.7;
+
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, mixColor(config.top, config.deep, depth));
+    gradient.addColorStop(1, mixColor(config.bottom, config.deep, depth));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    this.particles.forEach(p => {
+      let alpha = p.alpha;
+      if (config.motion === 'twinkle') {
+        alpha *= 0.6 + Math.sin(this.time * 2 + p.phase) * 0.4;
+      }
+
+      const x = p.x * width;
+      const y = p.y * height;
+
+      // Soft halo, then a bright core
+      ctx.fillStyle = `rgba(${config.particle}, ${alpha * 0.25})`;
+      ctx.beginPath();
+      ctx.arc(x, y, p.radius * 2.5, 0, Math.PI * 2);
+      ctx.fill();
+
+      ctx.fillStyle = `rgba(${config.particle}, ${alpha})`;
+      ctx.beginPath();
+      ctx.arc(x, y, p.radius, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+}
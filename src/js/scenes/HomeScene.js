@@ -10,32 +10,38 @@
 
 import * as THREE from 'three';
 import gsap from 'gsap';
-import { isMobile, getPerformanceTier } from '../utils/device.js';
+import { BaseScene } from './BaseScene.js';
+import { composeShader } from '../shaders/index.js';
+import { RippleSimulation } from '../three/RippleSimulation.js';
+import { WaterOptics } from '../three/WaterOptics.js';
 
-export class HomeScene {
-  constructor(container) {
-    this.container = container;
-    this.performanceTier = getPerformanceTier();
-    this.isMobile = isMobile();
+// Per-tier budgets; buffers are sized for 'high' so quality can step back up
+const PARTICLE_COUNTS = { low: 500, medium: 1000, high: 2000 };
+const WATER_SEGMENTS = { low: 96, medium: 160, high: 256 };
+// After the breach the surface hangs this far below its plane
+const RUPTURE_DEPTH = 25;
+
+export class HomeScene extends BaseScene {
+  // Below the surface from the first frame
+  static ambience = { rumble: 0.9, bubbles: 0.7 };
+
+  static manifest = [
+    { url: 'textures/bubble.svg', key: 'bubble' }
+  ];
+
+  constructor(container, options = {}) {
+    super(container, options);
     
     // Timeline state
-    this.startTime = 0;
     this.phase = 'waiting'; // waiting, arrival, tension, illegal, descent, claim
     this.hasBreached = false;
-    this.isAnimating = false;
-    this.animationId = null;
-    
-
-    
-    // Scene components
-    this.renderer = null;
-    this.scene = null;
-    this.camera = null;
-    this.clock = new THREE.Clock();
+    this.introTimeline = null;
     
     // Water surface
     this.waterSurface = null;
     this.waterMaterial = null;
+    this.ripples = null;
+    this.optics = null;
     
     // Particles (added in Phase 4)
     this.particles = null;
@@ -44,13 +50,32 @@ export class HomeScene {
     this.particleVelocities = [];
     
     console.log('🎬 HomeScene: Preparing cinematic sequence...');
-    this.init();
   }
 
-  init() {
-    this.createRenderer();
-    this.createScene();
-    this.createCamera();
+  getSceneOptions() {
+    return {
+      // Tight FOV for cinematic feel
+      camera: { fov: 35, near: 0.1, far: 2000 },
+      // NO fog at start - mirror-like calm
+      fog: null,
+      rendererSettings: {
+        toneMappingExposure: 1.0,
+        pixelRatio: Math.min(window.devicePixelRatio, 2)
+      },
+      // Deep-water look: glowing particles, refraction, murky distance
+      effects: {
+        bloom: { strength: 0.9, radius: 0.5, threshold: 0.55 },
+        underwater: { strength: 0.0025, speed: 0.8 },
+        chromatic: { amount: 0.002 },
+        grain: { amount: 0.035 },
+        grading: { color: 0x021020, near: 30, far: 260, strength: 0.6 },
+        vignette: { darkness: 0.7, offset: 1.0 }
+      }
+    };
+  }
+
+  build() {
+    this.setupCamera();
     this.createWaterSurface();
     this.createLighting();
     
@@ -58,51 +83,56 @@ export class HomeScene {
     this.prepareParticles();
     this.prepareDepthRings();
     this.prepareLightShafts();
-    
-    this.setupResize();
   }
 
-  createRenderer() {
-    this.renderer = new THREE.WebGLRenderer({
-      antialias: !this.isMobile,
-      alpha: true,
-      powerPreference: 'high-performance'
-    });
-    
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    this.renderer.setClearColor(0x000000, 0);
-    this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-    this.renderer.toneMappingExposure = 1.0;
-    this.renderer.outputColorSpace = THREE.SRGBColorSpace;
-    
-    this.container.appendChild(this.renderer.domElement);
-  }
-
-  createScene() {
-    this.scene = new THREE.Scene();
-    // NO fog at start - mirror-like calm
-    this.scene.fog = null;
-  }
-
-  createCamera() {
+  setupCamera() {
     // PHASE 1 camera position - above, looking down at calm water
-    this.camera = new THREE.PerspectiveCamera(
-      35, // Tight FOV for cinematic feel
-      window.innerWidth / window.innerHeight,
-      0.1,
-      2000
-    );
     this.camera.position.set(0, 120, 160);
     this.camera.lookAt(0, 0, 0);
+    
+    // After the intro the camera moves deeper with scroll; Lenis already
+    // smooths the input, so the path is followed exactly
+    this.createCameraRig({
+      keyframes: [
+        { at: 0, position: [0, -120, 50] },
+        { at: 1, position: [0, -200, 30] }
+      ],
+      damping: 1,
+      parallax: { x: 4, y: 2, smoothing: 0.03 }
+    });
+    this.cameraRig.enabled = false;
   }
 
   createWaterSurface() {
     // Large, flat, mirror-like water surface
-    const geometry = new THREE.PlaneGeometry(800, 800, 256, 256);
+    const segments = WATER_SEGMENTS[this.performanceTier];
+    const geometry = new THREE.PlaneGeometry(800, 800, segments, segments);
+    
+    // Pointer wake, clicks and the breach splash; only the stretch of
+    // surface the camera sees from below is simulated
+    this.ripples = new RippleSimulation(this.sceneManager.getRenderer(), {
+      area: 320,
+      height: 4,
+      tier: this.performanceTier
+    });
+    this.sceneManager.addObject(this.ripples);
+    
+    // From below, the surface mirrors the depths (particles, shafts) and
+    // lets the light above through; flat colours on low-end devices
+    this.optics = new WaterOptics(this.sceneManager.getRenderer(), {
+      tier: this.performanceTier,
+      distortion: 0.05,
+      reflectColor: 0x021020,
+      reflectHorizon: 0x0a4a6e,
+      refractColor: 0x67e8f9
+    });
+    this.sceneManager.addObject(this.optics);
     
     this.waterMaterial = new THREE.ShaderMaterial({
+      defines: { ...this.optics.defines },
       uniforms: {
+        ...this.ripples.uniforms,
+        ...this.optics.uniforms,
         uTime: { value: 0 },
         uPhase: { value: 0 }, // 0=calm, 1=tension, 2=rupture
         uRupture: { value: 0 },
@@ -110,7 +140,7 @@ export class HomeScene {
         uColorSurface: { value: new THREE.Color(0x0a4a6e) },
         uColorHighlight: { value: new THREE.Color(0x67e8f9) }
       },
-      vertexShader: `
+      vertexShader: composeShader(`
         uniform float uTime;
         uniform float uPhase;
         uniform float uRupture;
@@ -118,31 +148,44 @@ export class HomeScene {
         varying vec2 vUv;
         varying float vElevation;
         varying vec3 vWorldPos;
+        varying vec2 vLocal;
+        varying vec4 vReflectCoord;
+        varying vec4 vClipPosition;
+        
+        #include "waves"
+        #include "ripples"
+        #include "optics"
         
         void main() {
           vUv = uv;
           vec3 pos = position;
           
           // Phase 0-1: Almost completely flat, mirror-like
-          float calmWave = sin(pos.x * 0.01 + uTime * 0.3) * 0.5;
-          calmWave += sin(pos.y * 0.01 + uTime * 0.2) * 0.3;
+          float calmWave = sineWave(pos.xy, vec2(1.0, 0.0), 0.01, 0.3, 0.5, uTime);
+          calmWave += sineWave(pos.xy, vec2(0.0, 1.0), 0.01, 0.2, 0.3, uTime);
           
           // Phase 2: Tension builds - ripples increase
-          float tensionWave = sin(pos.x * 0.05 + uTime * 1.5) * 2.0 * uPhase;
-          tensionWave += sin(pos.y * 0.04 + uTime * 1.2) * 1.5 * uPhase;
+          float tensionWave = sineWave(pos.xy, vec2(1.0, 0.0), 0.05, 1.5, 2.0, uTime) * uPhase;
+          tensionWave += sineWave(pos.xy, vec2(0.0, 1.0), 0.04, 1.2, 1.5, uTime) * uPhase;
           
           pos.z = mix(calmWave, tensionWave, uPhase);
           
           // RUPTURE: Water collapses downward
-          pos.z -= uRupture * 25.0;
+          pos.z -= uRupture * ${RUPTURE_DEPTH.toFixed(1)};
+          
+          // Interactive ripples ride on top
+          pos.z += rippleHeight(position.xy);
+          vLocal = position.xy;
           
           vElevation = pos.z;
           vWorldPos = (modelMatrix * vec4(pos, 1.0)).xyz;
+          vReflectCoord = reflectionCoord(vWorldPos);
           
           gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+          vClipPosition = gl_Position;
         }
-      `,
-      fragmentShader: `
+      `),
+      fragmentShader: composeShader(`
         uniform float uTime;
         uniform float uPhase;
         uniform vec3 uColorDeep;
@@ -152,6 +195,13 @@ export class HomeScene {
         varying vec2 vUv;
         varying float vElevation;
         varying vec3 vWorldPos;
+        varying vec2 vLocal;
+        varying vec4 vReflectCoord;
+        varying vec4 vClipPosition;
+        
+        #include "fresnel"
+        #include "ripples"
+        #include "optics"
         
         void main() {
           // Base color gradient
@@ -162,13 +212,25 @@ export class HomeScene {
           float highlight = smoothstep(-0.5, 2.0, vElevation);
           color = mix(color, uColorHighlight, highlight * 0.15);
           
+          // Ripple slopes catch the light
+          vec3 rippleN = rippleNormal(vLocal, vec3(0.0, 0.0, 1.0));
+          color += uColorHighlight * length(rippleN.xy) * 1.5;
+          
+          // Mirrored depths at grazing angles, light from above head-on;
+          // the plane lies in local x/y, so local z is world y
+          vec3 viewDir = normalize(cameraPosition - vWorldPos);
+          vec3 normal = vec3(rippleN.x, rippleN.z, -rippleN.y);
+          if (dot(normal, viewDir) < 0.0) normal = -normal;
+          float mirror = fresnel(normal, viewDir, 2.0);
+          vec3 optics = mix(waterRefraction(vClipPosition, normal), waterReflection(vReflectCoord, normal, viewDir), mirror);
+          color = mix(color, optics, 0.35);
+          
           // Tension: UV warp distortion
           vec2 distortedUv = vUv;
           distortedUv.y += sin(vUv.x * 12.0 + uTime * 2.0) * 0.03 * uPhase;
           
           // Fresnel-like edge glow
-          float fresnel = pow(1.0 - abs(dot(normalize(vWorldPos), vec3(0.0, 1.0, 0.0))), 3.0);
-          color += uColorHighlight * fresnel * 0.1;
+          color += uColorHighlight * fresnel(normalize(vWorldPos), vec3(0.0, 1.0, 0.0), 3.0) * 0.1;
           
           // Light pulse off-rhythm during tension
           float pulse = sin(uTime * 3.7) * 0.5 + 0.5;
@@ -176,7 +238,7 @@ export class HomeScene {
           
           gl_FragColor = vec4(color, 0.95);
         }
-      `,
+      `),
       transparent: true,
       side: THREE.DoubleSide
     });
@@ -185,6 +247,12 @@ export class HomeScene {
     this.waterSurface.rotation.x = -Math.PI / 2;
     this.waterSurface.position.y = 0;
     this.scene.add(this.waterSurface);
+    
+    this.optics.attach(this.waterSurface);
+    this.ripples.bindPointer(this.waterSurface, this.camera, {
+      input: this.input,
+      element: this.container
+    });
   }
 
   createLighting() {
@@ -205,46 +273,30 @@ export class HomeScene {
 
   prepareParticles() {
     // Particles are hidden until Phase 4
-    const count = this.performanceTier === 'high' ? 2000 : 
-                  this.performanceTier === 'medium' ? 1000 : 500;
+    const count = PARTICLE_COUNTS.high;
     
     const positions = new Float32Array(count * 3);
     
     for (let i = 0; i < count; i++) {
-      positions[i * 3] = (Math.random() - 0.5) * 200;
-      positions[i * 3 + 1] = -Math.random() * 300 - 50; // Below water
-      positions[i * 3 + 2] = (Math.random() - 0.5) * 200;
+      positions[i * 3] = (this.random() - 0.5) * 200;
+      positions[i * 3 + 1] = -this.random() * 300 - 50; // Below water
+      positions[i * 3 + 2] = (this.random() - 0.5) * 200;
       
       this.particleVelocities.push({
-        y: 0.1 + Math.random() * 0.2, // Slow upward drift
-        phase: Math.random() * Math.PI * 2
+        y: 0.1 + this.random() * 0.2, // Slow upward drift
+        phase: this.random() * Math.PI * 2
       });
     }
     
+    // Motion is computed from these, not accumulated per frame
+    this.particleBase = positions.slice();
+    
     const geometry = new THREE.BufferGeometry();
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setDrawRange(0, PARTICLE_COUNTS[this.performanceTier]);
     
-    // Generate a round bubble texture
-    const canvas = document.createElement('canvas');
-    canvas.width = 64;
-    canvas.height = 64;
-    const ctx = canvas.getContext('2d');
-    const center = 32;
-    const radius = 28;
-    
-    // Soft radial gradient — bright center fading to transparent edge
-    const gradient = ctx.createRadialGradient(center, center, 0, center, center, radius);
-    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
-    gradient.addColorStop(0.3, 'rgba(103, 232, 249, 0.8)');
-    gradient.addColorStop(0.7, 'rgba(103, 232, 249, 0.3)');
-    gradient.addColorStop(1, 'rgba(103, 232, 249, 0)');
-    
-    ctx.fillStyle = gradient;
-    ctx.beginPath();
-    ctx.arc(center, center, radius, 0, Math.PI * 2);
-    ctx.fill();
-    
-    const bubbleTexture = new THREE.CanvasTexture(canvas);
+    // The manifest sprite; drawn here if it failed to load
+    const bubbleTexture = this.getAsset('bubble') || this.track(this.createBubbleTexture());
     
     const material = new THREE.PointsMaterial({
       color: 0x67e8f9,
@@ -276,9 +328,9 @@ export class HomeScene {
       
       const shaft = new THREE.Mesh(geometry, material);
       shaft.position.set(
-        (Math.random() - 0.5) * 100,
+        (this.random() - 0.5) * 100,
         50,
-        (Math.random() - 0.5) * 100 - 50
+        (this.random() - 0.5) * 100 - 50
       );
       shaft.rotation.x = Math.PI;
       
@@ -287,6 +339,30 @@ export class HomeScene {
     }
   }
 
+  // Stand-in for the manifest sprite
+  createBubbleTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    const center = 32;
+    const radius = 28;
+    
+    // Soft radial gradient — bright center fading to transparent edge
+    const gradient = ctx.createRadialGradient(center, center, 0, center, center, radius);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.3, 'rgba(103, 232, 249, 0.8)');
+    gradient.addColorStop(0.7, 'rgba(103, 232, 249, 0.3)');
+    gradient.addColorStop(1, 'rgba(103, 232, 249, 0)');
+    
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(center, center, radius, 0, Math.PI * 2);
+    ctx.fill();
+    
+    return new THREE.CanvasTexture(canvas);
+  }
+
   prepareDepthRings() {
     // Depth marker rings - hidden until Phase 4
     for (let i = 0; i < 4; i++) {
@@ -307,36 +383,16 @@ export class HomeScene {
     }
   }
 
-  setupResize() {
-    this.resizeHandler = () => {
-      if (!this.camera || !this.renderer) return;
-      
-      this.camera.aspect = window.innerWidth / window.innerHeight;
-      this.camera.updateProjectionMatrix();
-      this.renderer.setSize(window.innerWidth, window.innerHeight);
-    };
-    
-    window.addEventListener('resize', this.resizeHandler);
-  }
-
   // ═══════════════════════════════════════════════════════════
   // THE CINEMATIC SEQUENCE
   // ═══════════════════════════════════════════════════════════
 
-  start() {
-    if (this.isAnimating) return;
-    
+  animateIn() {
     console.log('🌊 Starting underwater scene');
-    this.isAnimating = true;
-    this.clock.start();
-    this.startTime = this.clock.getElapsedTime();
     
     // Set up underwater environment instantly
     this.setupUnderwaterEnvironment();
     
-    // Begin render loop
-    this.animate();
-    
     // Run the intro: camera sinks, particles appear, hero text emerges
     this.runUnderwaterIntro();
   }
@@ -348,7 +404,7 @@ export class HomeScene {
     
     // Underwater fog and lighting
     this.scene.fog = new THREE.FogExp2(0x021020, 0.015);
-    this.renderer.toneMappingExposure = 0.6;
+    this.sceneManager.setRendererSettings({ toneMappingExposure: 0.6 });
     this.underwaterLight.intensity = 1.5;
     
     // Collapse water surface (already breached)
@@ -371,6 +427,7 @@ export class HomeScene {
 
   runUnderwaterIntro() {
     const tl = gsap.timeline();
+    this.introTimeline = tl;
     
     // ─────────────────────────────────────────────────────────
     // Camera sinks deeper (0s → 4s)
@@ -457,23 +514,31 @@ export class HomeScene {
     tl.call(() => {
       console.log('🌊 Underwater intro complete');
       this.phase = 'complete';
+      this.cameraRig.enabled = true;
       
+      this.ripples.splash(0, 0, 40, 1);
       window.dispatchEvent(new CustomEvent('surfaceBreach'));
       window.dispatchEvent(new CustomEvent('cinematicComplete'));
     }, [], 6);
   }
 
-  animate() {
-    if (!this.isAnimating) return;
-    
-    this.animationId = requestAnimationFrame(() => this.animate());
-    
-    const elapsed = this.clock.getElapsedTime();
-    const time = elapsed - this.startTime;
+  // The intro sinks to -160; scrolling takes the camera to -200
+  getAudioDepth() {
+    return Math.min(1, Math.max(0, -this.camera.position.y / 200));
+  }
+
+  update(delta, elapsed) {
+    const time = elapsed;
     
     // Update water shader
     if (this.waterMaterial) {
       this.waterMaterial.uniforms.uTime.value = time;
+      
+      // The mirror plane and pointer plane sit where the rupture has
+      // dropped the surface to
+      const offset = -this.waterMaterial.uniforms.uRupture.value * RUPTURE_DEPTH;
+      this.optics.offset = offset;
+      this.ripples.setOffset(offset);
     }
     
     // Animate particles and light shafts
@@ -481,30 +546,28 @@ export class HomeScene {
       this.updateParticles(time);
       this.updateLightShafts(time);
     }
-    
-    this.renderer.render(this.scene, this.camera);
   }
 
+  // Closed-form drift: positions are a pure function of time, so
+  // seeking lands on the same frame as playing through to it
   updateParticles(time) {
     if (!this.particles) return;
     
     const positions = this.particles.geometry.attributes.position.array;
+    const base = this.particleBase;
+    const count = Math.min(positions.length / 3, this.particles.geometry.drawRange.count);
     
-    for (let i = 0; i < positions.length / 3; i++) {
+    for (let i = 0; i < count; i++) {
       const vel = this.particleVelocities[i];
-      if (!vel) continue;
+      const i3 = i * 3;
       
-      // Slow upward drift
-      positions[i * 3 + 1] += vel.y;
+      // Slow upward drift (vel.y per frame at 60fps), wrapping at the top
+      const rise = base[i3 + 1] + 300 + vel.y * 60 * time;
+      positions[i3 + 1] = -300 + ((rise % 300) + 300) % 300;
       
       // Gentle horizontal sway
-      positions[i * 3] += Math.sin(time + vel.phase) * 0.02;
-      positions[i * 3 + 2] += Math.cos(time * 0.7 + vel.phase) * 0.02;
-      
-      // Reset at top
-      if (positions[i * 3 + 1] > 0) {
-        positions[i * 3 + 1] = -300;
-      }
+      positions[i3] = base[i3] - Math.cos(time + vel.phase) * 1.2;
+      positions[i3 + 2] = base[i3 + 2] + Math.sin(time * 0.7 + vel.phase) * 1.7;
     }
     
     this.particles.geometry.attributes.position.needsUpdate = true;
@@ -517,50 +580,29 @@ export class HomeScene {
     });
   }
 
-  // Scroll handler (after cinematic completes)
-  onScroll(scrollY, scrollLimit) {
-    if (this.phase !== 'complete') return;
-    
-    const progress = scrollY / scrollLimit;
+  onQualityChange(tier) {
+    if (this.particles) {
+      this.particles.geometry.setDrawRange(0, PARTICLE_COUNTS[tier]);
+    }
     
-    // Camera moves deeper with scroll
-    this.camera.position.y = -120 - progress * 80;
-    this.camera.position.z = 50 - progress * 20;
+    // Rebuild the water grid; the shader material carries over
+    if (this.waterSurface) {
+      const segments = WATER_SEGMENTS[tier];
+      const previous = this.waterSurface.geometry;
+      this.waterSurface.geometry = new THREE.PlaneGeometry(800, 800, segments, segments);
+      previous.dispose();
+    }
   }
 
-  stop() {
-    this.isAnimating = false;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
-    }
+  // Render targets come back empty
+  onContextRestored() {
+    if (this.ripples) this.ripples.reset();
   }
 
-  destroy() {
-    this.stop();
-    
-    window.removeEventListener('resize', this.resizeHandler);
-    
-    // Cleanup
-    if (this.scene) {
-      this.scene.traverse(obj => {
-        if (obj.geometry) obj.geometry.dispose();
-        if (obj.material) {
-          if (Array.isArray(obj.material)) {
-            obj.material.forEach(m => m.dispose());
-          } else {
-            obj.material.dispose();
-          }
-        }
-      });
-    }
-    
-    if (this.renderer) {
-      this.renderer.dispose();
-      
-      if (this.renderer.domElement && this.renderer.domElement.parentNode) {
-        this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
-      }
+  teardown() {
+    if (this.introTimeline) {
+      this.introTimeline.kill();
+      this.introTimeline = null;
     }
     
     // Remove classes
@@ -569,8 +611,4 @@ export class HomeScene {
       'hide-cursor', 'surface-breached', 'underwater-mode'
     );
   }
-
-  dispose() {
-    this.destroy();
-  }
 }
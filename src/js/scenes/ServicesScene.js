@@ -7,23 +7,34 @@
  * Procedural geometry only - no heavy models.
  */
 
-import { SceneManager } from '../three/SceneManager.js';
+import { BaseScene } from './BaseScene.js';
 import { ParticleSystem } from '../three/ParticleSystem.js';
 import { LightingSetup } from '../three/LightingSetup.js';
-import { isMobile, getPerformanceTier } from '../utils/device.js';
+import { AbstractGeometry } from '../three/AbstractGeometry.js';
+import { MultiViewRenderer } from '../three/MultiViewRenderer.js';
 import * as THREE from 'three';
 import gsap from 'gsap';
 
-export class ServicesScene {
-  constructor(container) {
-    this.container = container;
-    this.sceneManager = null;
+// Detail-card vignettes: data-service → AbstractGeometry type
+const VIGNETTES = {
+  'aqua-sahay-detail': { type: 'tank' },                            // Pond operations
+  'aqua-intelligence-detail': { type: 'helix', color: 0x22d3ee },   // Data and models
+  'aqua-connect-detail': { type: 'sphere-cluster', color: 0x67e8f9 }, // Network
+  'early-access-detail': { type: 'grid', color: 0x5eead4 },         // Cohorts
+  'processing-detail': { type: 'flow', color: 0x0891b2 },           // Supply chain
+};
+
+export class ServicesScene extends BaseScene {
+  static ambience = { rumble: 0.5, bubbles: 0.3 };
+
+  constructor(container, options = {}) {
+    super(container, options);
     this.particles = [];
     this.lighting = null;
-    this.scrollProgress = 0;
     this.activeSection = 0;
-    this.performanceTier = getPerformanceTier();
-    this.isMobile = isMobile();
+    
+    // Detail-card vignettes
+    this.multiView = null;
     
     // Central dominant object
     this.centralObject = null;
@@ -37,16 +48,26 @@ export class ServicesScene {
     this.currentGeometryIndex = 0;
     
     console.log('⚙️ ServicesScene: Creating ANCHOR experience...', { tier: this.performanceTier });
-    this.init();
   }
 
-  init() {
-    this.sceneManager = new SceneManager(this.container);
+  getSceneOptions() {
+    return {
+      // Lighter fog for focus
+      fog: { color: 0x041e42, density: 0.003 },
+      effects: {
+        bloom: { strength: 0.8, radius: 0.45, threshold: 0.55 },
+        chromatic: { amount: 0.0015 },
+        grading: { color: 0x041e42, near: 50, far: 450, strength: 0.45 },
+        vignette: { darkness: 0.6, offset: 1.0 }
+      },
+      // Caustic-lit shallows for the metallic centrepiece
+      environment: { preset: 'shallows' }
+    };
+  }
+
+  build() {
     const scene = this.sceneManager.getScene();
     
-    // Lighter fog for focus
-    scene.fog = new THREE.FogExp2(0x041e42, 0.003);
-    
     // Lighting
     this.lighting = new LightingSetup(scene);
     this.setupDramaticLighting();
@@ -66,16 +87,14 @@ export class ServicesScene {
     // Camera
     this.setupCamera();
     
-    // Mouse
-    this.setupMouseHandler();
-    
     // Section observer
     this.setupSectionObserver();
     
-    // Update
-    this.sceneManager.onUpdate((delta, elapsed) => {
-      this.update(delta, elapsed);
-    });
+    // Orbitals and the central object link to their sections
+    this.setupInteraction();
+
+    // Product vignettes in the detail cards
+    this.createVignettes();
     
     console.log('✅ ServicesScene: ANCHOR ready');
   }
@@ -157,21 +176,24 @@ export class ServicesScene {
   }
 
   createServiceGeometries() {
-    // Different geometries for different services
-    this.serviceGeometries = [
+    // Different geometries for different services (templates - the
+    // central mesh wears clones, so these live outside the graph)
+    this.serviceGeometries = this.track([
       new THREE.TorusKnotGeometry(20, 6, 128, 32), // Consultation
       new THREE.OctahedronGeometry(25, 2),          // Hatchery
       new THREE.TorusGeometry(18, 8, 32, 64),       // Aquafeed
       new THREE.IcosahedronGeometry(22, 2),         // Technology
       new THREE.DodecahedronGeometry(22, 1),        // Sustainability
-    ];
+    ]);
   }
 
   createOrbitals() {
     const scene = this.sceneManager.getScene();
     
-    // Orbiting service indicators
-    const orbitalCount = this.isMobile ? 3 : 6;
+    // Orbiting service indicators; at least one per service, since each
+    // service is reached through its own orbital
+    const sectionCount = document.querySelectorAll('[data-service-section]').length;
+    const orbitalCount = Math.max(this.isMobile ? 3 : 6, sectionCount);
     const orbitalGeo = new THREE.OctahedronGeometry(3, 0);
     const orbitalMat = new THREE.MeshPhysicalMaterial({
       color: 0x22d3ee,
@@ -269,6 +291,8 @@ export class ServicesScene {
       size: this.isMobile ? 0.2 : 0.35,
       spread: { x: 120, y: 80, z: 120 },
       speed: 0.25,
+      tier: this.performanceTier,
+      random: this.random,
       color1: 0x22d3ee,
       color2: 0x67e8f9
     });
@@ -278,30 +302,48 @@ export class ServicesScene {
 
   setupCamera() {
     const camera = this.sceneManager.getCamera();
-    
-    this.cameraState = {
-      orbitRadius: 100,
-      orbitHeight: 30,
-      orbitAngle: 0,
-      targetRadius: 100,
-      targetHeight: 30
-    };
-    
     camera.position.set(100, 30, 0);
-    camera.lookAt(0, 0, 0);
+    
+    // Orbit profile at angle 0: closer and higher mid-scroll
+    this.createCameraRig({
+      keyframes: [
+        { at: 0, position: [90, 30, 0] },
+        { at: 0.5, position: [75, 55, 0] },
+        { at: 1, position: [60, 30, 0] }
+      ],
+      target: [0, 0, 0],
+      damping: 0.03,
+      parallax: { x: 10, y: 5, smoothing: 1 }
+    });
   }
 
-  setupMouseHandler() {
-    if (this.isMobile) return;
-    
-    this.mousePosition = { x: 0.5, y: 0.5 };
-    
-    this.mouseMoveHandler = (e) => {
-      this.mousePosition.x = e.clientX / window.innerWidth;
-      this.mousePosition.y = e.clientY / window.innerHeight;
-    };
-    
-    window.addEventListener('mousemove', this.mouseMoveHandler);
+  // The orbit stays at one depth, in open water
+  getAudioDepth() {
+    return 0.3;
+  }
+
+  getDebugParams() {
+    const params = { camera: this.cameraRig.tuning };
+    this.orbitals.forEach((orbital, i) => {
+      if (orbital.userData.angle !== undefined) params[`orbital ${i}`] = orbital.userData;
+    });
+    return params;
+  }
+
+  getScrollTracks() {
+    return [
+      // Ground glow reacts to scroll
+      { target: this.groundGlow, property: 'intensity', keys: [
+        { at: 0, value: 0.5 },
+        { at: 1, value: 2 }
+      ] },
+      
+      // Central object swells slightly
+      { target: this.centralObject, property: 'scale', keys: [
+        { at: 0, value: 1 },
+        { at: 1, value: 1.2 }
+      ] }
+    ];
   }
 
   setupSectionObserver() {
@@ -314,7 +356,7 @@ export class ServicesScene {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
           const index = parseInt(entry.target.dataset.serviceSection) || 0;
-          this.morphToService(index);
+          this.captureTweens(() => this.morphToService(index));
         }
       });
     }, { threshold: 0.5 });
@@ -323,6 +365,66 @@ export class ServicesScene {
     this.sectionObserver = observer;
   }
 
+  setupInteraction() {
+    const sections = [...document.querySelectorAll('[data-service-section]')];
+    if (sections.length === 0) return;
+    
+    this.serviceSections = sections;
+    const manager = this.sceneManager;
+    
+    // The first orbital of each service stands for it; the rest are
+    // decoration, so every service has exactly one target and proxy
+    const orbitals = this.orbitals.filter(orbital => orbital.userData.angle !== undefined);
+    orbitals.slice(0, sections.length).forEach((orbital, i) => {
+      const section = sections[i];
+      manager.makeInteractive(orbital, { label: `Go to ${this.getServiceTitle(section)}` });
+      
+      const highlight = (on) => this.captureTweens(() => {
+        gsap.to(orbital.scale, { x: on ? 1.8 : 1, y: on ? 1.8 : 1, z: on ? 1.8 : 1, duration: 0.3, ease: 'power2.out' });
+        gsap.to(orbital.material, { emissiveIntensity: on ? 1.5 : 0.5, duration: 0.3 });
+      });
+      
+      orbital.addEventListener('pointerenter', () => highlight(true));
+      orbital.addEventListener('pointerleave', () => highlight(false));
+      orbital.addEventListener('focus', () => highlight(true));
+      orbital.addEventListener('blur', () => highlight(false));
+      orbital.addEventListener('click', (e) => this.goToSection(section, e.source));
+    });
+    
+    // The central object links to the service it is showing; that
+    // service's orbital already has the keyboard proxy
+    const central = this.centralObject;
+    manager.makeInteractive(central, { label: this.getCentralLabel(), proxy: false });
+    
+    const glow = (on) => this.captureTweens(() => {
+      gsap.to(central.material, { emissiveIntensity: on ? 0.9 : 0.3, duration: 0.4 });
+    });
+    
+    central.addEventListener('pointerenter', () => glow(true));
+    central.addEventListener('pointerleave', () => glow(false));
+    central.addEventListener('focus', () => glow(true));
+    central.addEventListener('blur', () => glow(false));
+    central.addEventListener('click', (e) => {
+      this.goToSection(sections[this.currentGeometryIndex] || sections[0], e.source);
+    });
+  }
+
+  getServiceTitle(section) {
+    const title = section.querySelector('.service-detail__title');
+    return title ? title.textContent.trim() : section.id;
+  }
+
+  getCentralLabel() {
+    const section = this.serviceSections[this.currentGeometryIndex] || this.serviceSections[0];
+    return `Go to ${this.getServiceTitle(section)}`;
+  }
+
+  goToSection(section, source) {
+    window.dispatchEvent(new CustomEvent('scrollToTarget', {
+      detail: { target: `#${section.id}`, focus: source === 'keyboard' }
+    }));
+  }
+
   morphToService(index) {
     if (index === this.currentGeometryIndex) return;
     if (index >= this.serviceGeometries.length) return;
@@ -366,16 +468,83 @@ export class ServicesScene {
     this.orbitals.forEach((orbital, i) => {
       if (orbital.userData.radius) {
         gsap.to(orbital.userData, {
-          radius: 40 + Math.random() * 30,
+          radius: 40 + this.random() * 30,
           duration: 0.5,
           ease: 'power2.out'
         });
       }
     });
     
+    const interaction = this.sceneManager.getInteraction();
+    if (interaction && this.serviceSections) {
+      interaction.setLabel(this.centralObject, this.getCentralLabel());
+    }
+    
     window.dispatchEvent(new CustomEvent('serviceChange', { detail: { index } }));
   }
 
+  // ═══════════════════════════════════════════════════════════
+  // DETAIL VIGNETTES
+  // ═══════════════════════════════════════════════════════════
+
+  createVignettes() {
+    const elements = document.querySelectorAll('.service-detail__3d[data-service]');
+    if (!elements.length) return;
+
+    // Drawn through this scene's renderer, after the main pass
+    this.multiView = new MultiViewRenderer(this.sceneManager.getRenderer());
+
+    elements.forEach(element => {
+      const config = VIGNETTES[element.dataset.service];
+      if (!config) return;
+
+      this.multiView.add(element, this.createVignette(config));
+      element.closest('.service-detail__visual')?.classList.add('has-vignette');
+    });
+
+    // Updated and disposed as a scene object, drawn as an overlay
+    this.sceneManager.addObject(this.multiView);
+    this.sceneManager.addOverlay(this.multiView);
+  }
+
+  createVignette(config) {
+    const scene = new THREE.Scene();
+    scene.fog = new THREE.FogExp2(0x041e42, 0.01);
+
+    const product = new AbstractGeometry({
+      type: config.type,
+      color: config.color,
+      random: this.random
+    });
+    const group = product.getMesh();
+    scene.add(group);
+
+    scene.add(new THREE.AmbientLight(0x67e8f9, 0.6));
+    const key = new THREE.DirectionalLight(0xffffff, 2);
+    key.position.set(20, 30, 25);
+    scene.add(key);
+
+    this.track(scene);
+
+    // Frame the product's bounding sphere from slightly above
+    const bounds = new THREE.Box3().setFromObject(group).getBoundingSphere(new THREE.Sphere());
+    const camera = new THREE.PerspectiveCamera(35, 1, 0.1, 500);
+    const distance = bounds.radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2)) * 1.1;
+    camera.position.set(0, distance * 0.35, distance).add(bounds.center);
+    camera.lookAt(bounds.center);
+
+    return {
+      scene,
+      camera,
+      update: (delta, elapsed) => {
+        // The main scene owns the environment map (and regenerates it
+        // after a context loss)
+        scene.environment = this.scene.environment;
+        product.update(delta, elapsed);
+      }
+    };
+  }
+
   update(delta, elapsed) {
     this.lighting.update(elapsed);
     this.updateCamera(elapsed);
@@ -385,36 +554,13 @@ export class ServicesScene {
   }
 
   updateCamera(elapsed) {
-    const camera = this.sceneManager.getCamera();
-    const state = this.cameraState;
     const progress = this.scrollProgress;
     
     // Orbit around the central object
-    state.orbitAngle = elapsed * 0.15 + progress * Math.PI * 2;
-    
-    // Height and distance vary with scroll
-    state.targetRadius = 90 - progress * 30;
-    state.targetHeight = 30 + Math.sin(progress * Math.PI) * 25;
-    
-    state.orbitRadius += (state.targetRadius - state.orbitRadius) * 0.03;
-    state.orbitHeight += (state.targetHeight - state.orbitHeight) * 0.03;
-    
-    // Mouse influence
-    const mouseOffsetX = this.mousePosition ? (this.mousePosition.x - 0.5) * 20 : 0;
-    const mouseOffsetY = this.mousePosition ? (this.mousePosition.y - 0.5) * 10 : 0;
-    
-    const targetX = Math.cos(state.orbitAngle) * state.orbitRadius;
-    const targetZ = Math.sin(state.orbitAngle) * state.orbitRadius;
-    const targetY = state.orbitHeight + mouseOffsetY;
-    
-    camera.position.x += (targetX + mouseOffsetX - camera.position.x) * 0.03;
-    camera.position.y += (targetY - camera.position.y) * 0.03;
-    camera.position.z += (targetZ - camera.position.z) * 0.03;
-    
-    camera.lookAt(0, 0, 0);
+    this.cameraRig.orbitAngle = elapsed * 0.15 + progress * Math.PI * 2;
     
     // Slight roll for dynamism
-    camera.rotation.z = Math.sin(elapsed * 0.3) * 0.02;
+    this.cameraRig.roll = Math.sin(elapsed * 0.3) * 0.02;
   }
 
   updateCentralObject(elapsed) {
@@ -439,10 +585,6 @@ export class ServicesScene {
       this.outerShell.rotation.y = -elapsed * 0.1;
       this.outerShell.rotation.z = elapsed * 0.08;
     }
-    
-    // React to scroll
-    const reactScale = 1 + this.scrollProgress * 0.2;
-    this.centralObject.scale.setScalar(reactScale);
   }
 
   updateOrbitals(elapsed) {
@@ -469,9 +611,6 @@ export class ServicesScene {
     
     // Rim light pulses
     this.rimLight.intensity = 1.5 + Math.sin(elapsed) * 0.5;
-    
-    // Ground glow reacts to scroll
-    this.groundGlow.intensity = 0.5 + this.scrollProgress * 1.5;
   }
 
   animateIn() {
@@ -498,37 +637,15 @@ export class ServicesScene {
     });
   }
 
-  start() {
-    if (this.sceneManager) {
-      this.sceneManager.start();
-      this.animateIn();
-    }
-  }
-
-  pause() {
-    if (this.sceneManager) {
-      this.sceneManager.stop();
-    }
-  }
-
-  onScroll(scrollY, scrollLimit) {
-    if (scrollLimit > 0) {
-      this.scrollProgress = Math.max(0, Math.min(1, scrollY / scrollLimit));
-    }
-  }
-
-  destroy() {
-    if (this.mouseMoveHandler) {
-      window.removeEventListener('mousemove', this.mouseMoveHandler);
-    }
+  teardown() {
     if (this.sectionObserver) {
       this.sectionObserver.disconnect();
     }
+    if (this.multiView) {
+      this.multiView.views.forEach((view, element) => {
+        element.closest('.service-detail__visual')?.classList.remove('has-vignette');
+      });
+    }
     if (this.lighting) this.lighting.dispose();
-    if (this.sceneManager) this.sceneManager.dispose();
-  }
-
-  dispose() {
-    this.destroy();
   }
 }
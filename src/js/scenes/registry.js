@@ -0,0 +1,69 @@
+/**
+ * Aurora Aqua - Scene Registry
+ * Maps Barba namespaces to page scene classes.
+ * Every registered class extends BaseScene. Without WebGL every
+ * namespace resolves to FallbackScene, which shares the interface.
+ */
+
+import { HomeScene } from './HomeScene.js';
+import { AboutScene } from './AboutScene.js';
+import { ServicesScene } from './ServicesScene.js';
+import { ContactScene } from './ContactScene.js';
+import { FallbackScene } from './FallbackScene.js';
+import { supportsWebGL } from '../utils/device.js';
+
+const DEFAULT_NAMESPACE = 'home';
+const registry = new Map();
+
+// Probing creates a throwaway context, so do it once
+let webglAvailable = null;
+
+export function registerScene(namespace, SceneClass) {
+  registry.set(namespace, SceneClass);
+}
+
+// Unknown namespaces fall back to the home scene
+export function getSceneClass(namespace) {
+  if (!isWebGLAvailable()) return FallbackScene;
+  return registry.get(namespace) || registry.get(DEFAULT_NAMESPACE);
+}
+
+export function isWebGLAvailable() {
+  if (webglAvailable === null) webglAvailable = supportsWebGL();
+  return webglAvailable;
+}
+
+// The renderer failed to start despite the probe (blocklisted GPU etc.)
+export function disableWebGL() {
+  webglAvailable = false;
+}
+
+export function hasScene(namespace) {
+  return registry.has(namespace);
+}
+
+// Asset manifest for a page, available before its scene exists
+export function getSceneManifest(namespace) {
+  return getSceneClass(namespace).manifest || [];
+}
+
+// Soundscape mix for a page; audio does not need WebGL, so this skips
+// the fallback and reads the registered scene
+export function getSceneAmbience(namespace) {
+  const SceneClass = registry.get(namespace) || registry.get(DEFAULT_NAMESPACE);
+  return SceneClass.ambience || {};
+}
+
+// './about.html' → 'about'; the site root and index.html are 'home'
+export function getNamespaceForUrl(url) {
+  const { pathname } = new URL(url, window.location.href);
+  const page = pathname.split('/').pop().replace(/\.html$/, '');
+
+  if (!page || page === 'index') return DEFAULT_NAMESPACE;
+  return registry.has(page) ? page : null;
+}
+
+registerScene('home', HomeScene);
+registerScene('about', AboutScene);
+registerScene('services', ServicesScene);
+registerScene('contact', ContactScene);
@@ -0,0 +1,23 @@
+/**
+ * Aurora Aqua - Caustics Chunk
+ * causticPattern: warped sine interference with thin bright lines.
+ * causticShimmer: cheap moving grid for surface sparkle.
+ */
+
+export const caustics = /* glsl */`
+  float causticPattern(vec2 p) {
+    float c = 0.0;
+    vec2 q = p;
+    for (int i = 0; i < 3; i++) {
+      float fi = float(i);
+      q += vec2(sin(q.y * 1.7 + fi * 2.1), cos(q.x * 1.3 + fi * 1.9)) * 0.6;
+      c += 1.0 / (1.0 + 12.0 * abs(sin(q.x) * sin(q.y)));
+    }
+    return c / 3.0;
+  }
+
+  float causticShimmer(vec2 p, float time) {
+    float c = sin(p.x + time) * sin(p.y + time * 0.7) * 0.5 + 0.5;
+    return pow(c, 3.0);
+  }
+`;
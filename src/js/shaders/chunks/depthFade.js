@@ -0,0 +1,18 @@
+/**
+ * Aurora Aqua - Depth Fade Chunk
+ * Linear depth from a depth texture and a near→far ramp over it.
+ * Needs three's <packing> include earlier in the shader.
+ */
+
+export const depthFade = /* glsl */`
+  // Positive view-space distance of a depth-buffer sample
+  float readViewDepth(sampler2D depthTexture, vec2 uv, float near, float far) {
+    float depth = texture2D(depthTexture, uv).x;
+    return -perspectiveDepthToViewZ(depth, near, far);
+  }
+
+  // 0 before near, 1 past far
+  float depthFade(float depth, float near, float far) {
+    return smoothstep(near, far, depth);
+  }
+`;
@@ -0,0 +1,32 @@
+/**
+ * Aurora Aqua - Fog Chunk
+ * Scene fog for ShaderMaterials. Declares three.js's own fog uniforms,
+ * so a material with `fog: true` and THREE.UniformsLib.fog follows
+ * scene.fog (FogExp2 or linear) like the built-in materials do.
+ */
+
+export const fog = /* glsl */`
+  #ifdef USE_FOG
+    uniform vec3 fogColor;
+    #ifdef FOG_EXP2
+      uniform float fogDensity;
+    #else
+      uniform float fogNear;
+      uniform float fogFar;
+    #endif
+  #endif
+
+  // depth: view-space distance, i.e. -mvPosition.z
+  vec3 applySceneFog(vec3 color, float depth) {
+    #ifdef USE_FOG
+      #ifdef FOG_EXP2
+        float fogFactor = 1.0 - exp(-fogDensity * fogDensity * depth * depth);
+      #else
+        float fogFactor = smoothstep(fogNear, fogFar, depth);
+      #endif
+      return mix(color, fogColor, fogFactor);
+    #else
+      return color;
+    #endif
+  }
+`;
@@ -0,0 +1,10 @@
+/**
+ * Aurora Aqua - Fresnel Chunk
+ * Edge glow term; two-sided, so water reads the same from below.
+ */
+
+export const fresnel = /* glsl */`
+  float fresnel(vec3 normal, vec3 viewDir, float power) {
+    return pow(1.0 - abs(dot(normal, viewDir)), power);
+  }
+`;
@@ -0,0 +1,55 @@
+/**
+ * Aurora Aqua - Gerstner Chunk
+ * Sum of directional Gerstner (trochoidal) waves. Points move in circles,
+ * so crests sharpen and troughs flatten the way real swell does, and the
+ * surface normal comes out of the same sums analytically.
+ *
+ * Declares the wave uniforms; WaterSurface fills them from its presets.
+ * Works in the surface's local frame: x/y across, z up.
+ */
+
+export const gerstner = /* glsl */`
+  #ifndef GERSTNER_WAVES
+    #define GERSTNER_WAVES 6
+  #endif
+
+  // Per wave: direction (xy, unit), steepness, wavenumber k = 2π / length
+  uniform vec4 uWaves[GERSTNER_WAVES];
+  // Per wave: k · c · t, accumulated on the CPU so retuning a wave does
+  // not make its phase jump
+  uniform float uWavePhases[GERSTNER_WAVES];
+
+  // Displacement of p; adds this sum's slopes to the tangent frame
+  vec3 gerstnerDisplace(vec2 p, inout vec3 tangent, inout vec3 binormal) {
+    vec3 offset = vec3(0.0);
+
+    for (int i = 0; i < GERSTNER_WAVES; i++) {
+      vec4 wave = uWaves[i];
+      float steepness = wave.z;
+      float k = wave.w;
+      if (steepness <= 0.0 || k <= 0.0) continue;
+
+      vec2 dir = wave.xy;
+      float f = k * dot(dir, p) - uWavePhases[i];
+      float a = steepness / k;
+      float s = sin(f);
+      float c = cos(f);
+
+      offset += vec3(dir * (a * c), a * s);
+
+      tangent += vec3(-dir.x * dir.x * steepness * s, -dir.x * dir.y * steepness * s, dir.x * steepness * c);
+      binormal += vec3(-dir.x * dir.y * steepness * s, -dir.y * dir.y * steepness * s, dir.y * steepness * c);
+    }
+
+    return offset;
+  }
+
+  // Displaced position and unit normal for a point on the flat surface
+  vec3 gerstnerSurface(vec2 p, out vec3 normal) {
+    vec3 tangent = vec3(1.0, 0.0, 0.0);
+    vec3 binormal = vec3(0.0, 1.0, 0.0);
+    vec3 offset = gerstnerDisplace(p, tangent, binormal);
+    normal = normalize(cross(tangent, binormal));
+    return vec3(p, 0.0) + offset;
+  }
+`;
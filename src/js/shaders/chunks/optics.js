@@ -0,0 +1,56 @@
+/**
+ * Aurora Aqua - Optics Chunk
+ * What a water surface mirrors and what shows through it. With
+ * USE_REFLECTION / USE_REFRACTION (set by WaterOptics for the quality
+ * tier) the terms sample its render passes; without them they fall back
+ * to flat colours, so shaders call the same functions either way.
+ *
+ * Normals are world-space and face the viewer; coordinates come from
+ * reflectionCoord() and the clip-space position, passed as varyings.
+ */
+
+export const optics = /* glsl */`
+  uniform vec3 uOpticsReflectColor;
+  uniform vec3 uOpticsReflectHorizon;
+  uniform vec3 uOpticsRefractColor;
+  // Screen-space offset per unit of normal tilt
+  uniform float uOpticsDistortion;
+
+  #ifdef USE_REFLECTION
+    uniform sampler2D uReflectionMap;
+    // World → mirror camera texture coordinates
+    uniform mat4 uReflectionMatrix;
+  #endif
+
+  #ifdef USE_REFRACTION
+    uniform sampler2D uRefractionMap;
+  #endif
+
+  vec4 reflectionCoord(vec3 worldPosition) {
+    #ifdef USE_REFLECTION
+      return uReflectionMatrix * vec4(worldPosition, 1.0);
+    #else
+      return vec4(worldPosition, 1.0);
+    #endif
+  }
+
+  vec3 waterReflection(vec4 coord, vec3 normal, vec3 viewDir) {
+    #ifdef USE_REFLECTION
+      vec2 uv = coord.xy / coord.w + normal.xz * uOpticsDistortion;
+      return texture2D(uReflectionMap, uv).rgb;
+    #else
+      float rise = abs(reflect(-viewDir, normal).y);
+      return mix(uOpticsReflectHorizon, uOpticsReflectColor, smoothstep(0.0, 0.6, rise));
+    #endif
+  }
+
+  // clipPosition: the fragment's gl_Position
+  vec3 waterRefraction(vec4 clipPosition, vec3 normal) {
+    #ifdef USE_REFRACTION
+      vec2 uv = clipPosition.xy / clipPosition.w * 0.5 + 0.5 - normal.xz * uOpticsDistortion;
+      return texture2D(uRefractionMap, uv).rgb;
+    #else
+      return uOpticsRefractColor;
+    #endif
+  }
+`;
@@ -0,0 +1,31 @@
+/**
+ * Aurora Aqua - Ripples Chunk
+ * Reads a RippleSimulation heightfield. Declares the uniforms the
+ * simulation shares (spread `simulation.uniforms` into the material).
+ * Points are in the surface's local frame (x/y across, z up); the
+ * simulated square is centred on the local origin and fades out at its
+ * border, so it can cover just the part of a large plane near the camera.
+ */
+
+export const ripples = /* glsl */`
+  uniform sampler2D uRippleMap;
+  // Local units covered by the heightfield
+  uniform float uRippleArea;
+  uniform float uRippleTexel;
+  // Simulation height → local units
+  uniform float uRippleScale;
+
+  float rippleHeight(vec2 p) {
+    vec2 uv = p / uRippleArea + 0.5;
+    vec2 edge = smoothstep(0.0, 0.1, uv) * smoothstep(0.0, 0.1, 1.0 - uv);
+    return texture2D(uRippleMap, uv).r * uRippleScale * edge.x * edge.y;
+  }
+
+  // Tilt a z-up surface normal by the ripple slope at p
+  vec3 rippleNormal(vec2 p, vec3 normal) {
+    float texel = uRippleArea * uRippleTexel;
+    float dx = rippleHeight(p + vec2(texel, 0.0)) - rippleHeight(p - vec2(texel, 0.0));
+    float dy = rippleHeight(p + vec2(0.0, texel)) - rippleHeight(p - vec2(0.0, texel));
+    return normalize(normal - vec3(dx, dy, 0.0) / (2.0 * texel));
+  }
+`;
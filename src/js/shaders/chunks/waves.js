@@ -0,0 +1,11 @@
+/**
+ * Aurora Aqua - Waves Chunk
+ * Directional sine swell for calm water surfaces.
+ */
+
+export const waves = /* glsl */`
+  // One travelling sine along dir; sum several for a swell
+  float sineWave(vec2 p, vec2 dir, float frequency, float speed, float amplitude, float time) {
+    return sin(dot(p, dir) * frequency + time * speed) * amplitude;
+  }
+`;
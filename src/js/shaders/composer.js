@@ -0,0 +1,42 @@
+/**
+ * Aurora Aqua - Shader Composer
+ * Resolves `#include "name"` lines against registered GLSL chunks.
+ * Each chunk lands at most once per shader, chunks may include other
+ * chunks, and three.js's own `#include <name>` lines are left for the
+ * renderer to expand.
+ */
+
+const INCLUDE_PATTERN = /^[ \t]*#include +"([\w./-]+)"[ \t]*$/gm;
+
+const chunks = new Map();
+
+export function registerChunk(name, source) {
+  chunks.set(name, source);
+}
+
+export function hasChunk(name) {
+  return chunks.has(name);
+}
+
+/**
+ * @param {string} source - GLSL with `#include "chunk"` lines
+ * @returns {string} Source with every chunk inlined
+ */
+export function composeShader(source) {
+  return resolveIncludes(source, new Set(), []);
+}
+
+function resolveIncludes(source, included, stack) {
+  return source.replace(INCLUDE_PATTERN, (line, name) => {
+    if (!chunks.has(name)) {
+      throw new Error(`Shader composer: unknown chunk "${name}"`);
+    }
+    if (stack.includes(name)) {
+      throw new Error(`Shader composer: circular include ${[...stack, name].join(' → ')}`);
+    }
+    if (included.has(name)) return '';
+
+    included.add(name);
+    return resolveIncludes(chunks.get(name), included, [...stack, name]);
+  });
+}
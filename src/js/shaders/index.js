@@ -0,0 +1,38 @@
+/**
+ * Aurora Aqua - Shader Library
+ * Shared GLSL chunks for every ShaderMaterial and post pass.
+ * Write `#include "noise"` in a shader and pass it through composeShader().
+ *
+ *   noise      hash12, valueNoise, snoise (3D simplex)
+ *   waves      sineWave swell
+ *   gerstner   gerstnerDisplace, gerstnerSurface (declares uWaves)
+ *   ripples    rippleHeight, rippleNormal (RippleSimulation uniforms)
+ *   optics     waterReflection, waterRefraction (WaterOptics uniforms)
+ *   fresnel    two-sided edge term
+ *   caustics   causticPattern, causticShimmer
+ *   fog        applySceneFog (three.js fog uniforms)
+ *   depthFade  readViewDepth, depthFade
+ */
+
+import { registerChunk } from './composer.js';
+import { noise } from './chunks/noise.js';
+import { waves } from './chunks/waves.js';
+import { gerstner } from './chunks/gerstner.js';
+import { ripples } from './chunks/ripples.js';
+import { optics } from './chunks/optics.js';
+import { fresnel } from './chunks/fresnel.js';
+import { caustics } from './chunks/caustics.js';
+import { fog } from './chunks/fog.js';
+import { depthFade } from './chunks/depthFade.js';
+
+registerChunk('noise', noise);
+registerChunk('waves', waves);
+registerChunk('gerstner', gerstner);
+registerChunk('ripples', ripples);
+registerChunk('optics', optics);
+registerChunk('fresnel', fresnel);
+registerChunk('caustics', caustics);
+registerChunk('fog', fog);
+registerChunk('depthFade', depthFade);
+
+export { composeShader, registerChunk, hasChunk } from './composer.js';
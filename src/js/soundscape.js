@@ -0,0 +1,452 @@
+/**
+ * Aurora Aqua - Soundscape
+ * Opt-in underwater audio, synthesized with Web Audio so nothing has to
+ * download. Each page mixes three ambience layers (surface wind, deep
+ * rumble, bubbles); scene events trigger one-shot cues; a low-pass
+ * filter closes as the camera goes deeper. The header toggle's choice is
+ * remembered across visits.
+ *
+ *   layers ─┬─ depth filter ─┐
+ *           │                ├─ master ─ destination
+ *   cues ───┴────────────────┘
+ */
+
+const STORAGE_KEY = 'aurora-aqua-sound';
+const MASTER_VOLUME = 0.5;
+const FADE_TIME = 1.2;
+
+// Depth filter cutoff (Hz) at the surface and at full depth
+const SURFACE_CUTOFF = 16000;
+const DEEP_CUTOFF = 450;
+
+// Peak gain of each layer at ambience level 1
+const LAYER_GAIN = { wind: 0.18, rumble: 0.35, bubbles: 0.25 };
+
+// C major pentatonic - one note per service
+const SERVICE_NOTES = [523.25, 587.33, 659.25, 783.99, 880.0];
+
+export class Soundscape {
+  constructor() {
+    this.context = null;
+    this.master = null;
+    this.filter = null;
+    this.cueBus = null;
+    this.noiseBuffer = null;
+    this.layers = {};
+    this.levels = { wind: 0, rumble: 0, bubbles: 0 };
+    this.depth = 0;
+    this.enabled = this.loadPreference();
+    this.isSuspended = false;
+    this.bubbleTimer = null;
+    this.toggle = null;
+
+    this.bindCues();
+
+    // A remembered "on" still needs a gesture before audio may start
+    if (this.enabled) this.armUnlock();
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // PREFERENCE & TOGGLE
+  // ═══════════════════════════════════════════════════════════
+
+  loadPreference() {
+    try {
+      return localStorage.getItem(STORAGE_KEY) === 'on';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  savePreference() {
+    try {
+      localStorage.setItem(STORAGE_KEY, this.enabled ? 'on' : 'off');
+    } catch (e) {
+      // Private mode - the choice lasts for this page only
+    }
+  }
+
+  /**
+   * @param {HTMLButtonElement} button - The header mute toggle
+   */
+  bindToggle(button) {
+    if (!button) return;
+
+    this.toggle = button;
+    button.addEventListener('click', () => this.setEnabled(!this.enabled));
+    this.updateToggle();
+  }
+
+  updateToggle() {
+    if (!this.toggle) return;
+
+    this.toggle.setAttribute('aria-pressed', String(this.enabled));
+    this.toggle.setAttribute('aria-label', this.enabled ? 'Mute sound' : 'Play sound');
+    this.toggle.classList.toggle('is-on', this.enabled);
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.savePreference();
+    this.updateToggle();
+
+    console.log(enabled ? '🔊 Soundscape: On' : '🔇 Soundscape: Off');
+
+    if (enabled) {
+      this.start();
+    } else {
+      this.stop();
+    }
+  }
+
+  armUnlock() {
+    const events = ['pointerdown', 'keydown', 'touchend'];
+    const unlock = () => {
+      events.forEach(type => window.removeEventListener(type, unlock));
+      this.start();
+    };
+    events.forEach(type => window.addEventListener(type, unlock, { passive: true }));
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // GRAPH
+  // ═══════════════════════════════════════════════════════════
+
+  // Must run inside a user gesture the first time
+  start() {
+    if (!this.enabled) return;
+
+    if (!this.context && !this.createContext()) return;
+
+    if (!this.isSuspended) this.context.resume();
+    this.fadeMaster(MASTER_VOLUME);
+    this.applyAmbience();
+    this.scheduleBubbles();
+  }
+
+  stop() {
+    if (!this.context) return;
+
+    this.fadeMaster(0);
+    clearTimeout(this.bubbleTimer);
+    this.bubbleTimer = null;
+  }
+
+  createContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      console.warn('⚠️ Soundscape: Web Audio unavailable');
+      return false;
+    }
+
+    const context = new AudioContextClass();
+    this.context = context;
+
+    this.master = context.createGain();
+    this.master.gain.value = 0;
+    this.master.connect(context.destination);
+
+    this.filter = context.createBiquadFilter();
+    this.filter.type = 'lowpass';
+    this.filter.frequency.value = this.getCutoff(this.depth);
+    this.filter.connect(this.master);
+
+    this.cueBus = context.createGain();
+    this.cueBus.connect(this.master);
+
+    this.noiseBuffer = this.createNoiseBuffer();
+    this.createLayers();
+
+    return true;
+  }
+
+  createNoiseBuffer() {
+    const context = this.context;
+    const buffer = context.createBuffer(1, context.sampleRate * 2, context.sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  createNoise() {
+    const source = this.context.createBufferSource();
+    source.buffer = this.noiseBuffer;
+    source.loop = true;
+    return source;
+  }
+
+  createLfo(frequency, depth, param) {
+    const lfo = this.context.createOscillator();
+    const amount = this.context.createGain();
+    lfo.frequency.value = frequency;
+    amount.gain.value = depth;
+    lfo.connect(amount).connect(param);
+    lfo.start();
+  }
+
+  createLayers() {
+    const context = this.context;
+
+    Object.keys(LAYER_GAIN).forEach(name => {
+      const gain = context.createGain();
+      gain.gain.value = 0;
+      gain.connect(this.filter);
+      this.layers[name] = gain;
+    });
+
+    // Surface wind: band-passed noise, drifting in pitch and strength
+    const wind = this.createNoise();
+    const windBand = context.createBiquadFilter();
+    const windSwell = context.createGain();
+    windBand.type = 'bandpass';
+    windBand.frequency.value = 700;
+    windBand.Q.value = 0.8;
+    windSwell.gain.value = 0.7;
+    this.createLfo(0.07, 350, windBand.frequency);
+    this.createLfo(0.11, 0.3, windSwell.gain);
+    wind.connect(windBand).connect(windSwell).connect(this.layers.wind);
+    wind.start();
+
+    // Deep rumble: low-passed noise over a slow sub drone
+    const rumble = this.createNoise();
+    const rumbleLow = context.createBiquadFilter();
+    rumbleLow.type = 'lowpass';
+    rumbleLow.frequency.value = 140;
+    rumbleLow.Q.value = 0.5;
+    this.createLfo(0.05, 40, rumbleLow.frequency);
+    rumble.connect(rumbleLow).connect(this.layers.rumble);
+    rumble.start();
+
+    const drone = context.createOscillator();
+    const droneGain = context.createGain();
+    drone.frequency.value = 46;
+    droneGain.gain.value = 0.25;
+    drone.connect(droneGain).connect(this.layers.rumble);
+    drone.start();
+
+    // Bubbles are scheduled one by one into their layer
+  }
+
+  fadeMaster(value) {
+    const now = this.context.currentTime;
+    this.master.gain.cancelScheduledValues(now);
+    this.master.gain.setTargetAtTime(value, now, FADE_TIME / 3);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // AMBIENCE & DEPTH
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Crossfade to a page's layer mix.
+   * @param {object} levels - { wind, rumble, bubbles } in 0..1
+   */
+  setAmbience(levels = {}) {
+    Object.keys(this.levels).forEach(name => {
+      this.levels[name] = levels[name] || 0;
+    });
+    this.applyAmbience();
+  }
+
+  applyAmbience() {
+    if (!this.context) return;
+
+    const now = this.context.currentTime;
+    Object.keys(this.layers).forEach(name => {
+      this.layers[name].gain.setTargetAtTime(this.levels[name] * LAYER_GAIN[name], now, FADE_TIME);
+    });
+  }
+
+  /**
+   * @param {number} depth - 0 at the surface, 1 at the deepest point
+   */
+  setDepth(depth) {
+    const clamped = Math.max(0, Math.min(1, depth));
+    if (Math.abs(clamped - this.depth) < 0.005) return;
+
+    this.depth = clamped;
+    if (!this.context) return;
+
+    this.filter.frequency.setTargetAtTime(this.getCutoff(clamped), this.context.currentTime, 0.3);
+  }
+
+  // Exponential, so each step of depth sounds equally murkier
+  getCutoff(depth) {
+    return SURFACE_CUTOFF * Math.pow(DEEP_CUTOFF / SURFACE_CUTOFF, depth);
+  }
+
+  scheduleBubbles() {
+    if (this.bubbleTimer || !this.enabled) return;
+
+    const next = () => {
+      this.bubbleTimer = null;
+      if (!this.enabled || this.isSuspended) return;
+
+      const level = this.levels.bubbles;
+      if (level > 0) {
+        const count = 1 + Math.floor(Math.random() * 4);
+        for (let i = 0; i < count; i++) {
+          this.playBubble(this.context.currentTime + i * (0.04 + Math.random() * 0.08));
+        }
+      }
+
+      // Busier layers bubble more often
+      const wait = (400 + Math.random() * 2200) / Math.max(level, 0.25);
+      this.bubbleTimer = setTimeout(next, wait);
+    };
+
+    this.bubbleTimer = setTimeout(next, 500);
+  }
+
+  // A bubble is a short sine that rises as it resonates
+  playBubble(time) {
+    const context = this.context;
+    const osc = context.createOscillator();
+    const gain = context.createGain();
+    const base = 300 + Math.random() * 900;
+    const duration = 0.05 + Math.random() * 0.08;
+
+    osc.frequency.setValueAtTime(base, time);
+    osc.frequency.exponentialRampToValueAtTime(base * 2.4, time + duration);
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(0.3 + Math.random() * 0.3, time + 0.005);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+    this.play(osc, [gain], this.layers.bubbles, time, duration);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // CUES
+  // ═══════════════════════════════════════════════════════════
+
+  bindCues() {
+    this.cueHandlers = {
+      surfaceBreach: () => this.playBreach(),
+      serviceChange: (e) => this.playServiceChime(e.detail ? e.detail.index : 0),
+      starsRevealed: () => this.playStars(),
+      peaceReached: () => this.playPeace(),
+    };
+
+    Object.entries(this.cueHandlers).forEach(([type, handler]) => {
+      window.addEventListener(type, handler);
+    });
+  }
+
+  canPlayCue() {
+    return this.enabled && this.context && this.context.state === 'running';
+  }
+
+  /**
+   * Run a source through a chain of nodes into `destination` and free
+   * the chain when it ends.
+   * @param {AudioScheduledSourceNode} source
+   * @param {AudioNode[]} chain - Filters and envelopes, in order
+   */
+  play(source, chain, destination, time, duration) {
+    const nodes = [source, ...chain];
+    nodes.reduce((from, to) => from.connect(to)).connect(destination);
+
+    source.start(time);
+    source.stop(time + duration + 0.05);
+    source.onended = () => nodes.forEach(node => node.disconnect());
+  }
+
+  tone(frequency, options = {}) {
+    const context = this.context;
+    const time = context.currentTime + (options.delay || 0);
+    const attack = options.attack ?? 0.01;
+    const duration = options.duration ?? 1;
+    const osc = context.createOscillator();
+    const gain = context.createGain();
+
+    osc.type = options.type || 'sine';
+    osc.frequency.value = frequency;
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(options.gain ?? 0.2, time + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+    this.play(osc, [gain], this.cueBus, time, duration);
+  }
+
+  // The intro's breach: a rushing sweep over a low thump
+  playBreach() {
+    if (!this.canPlayCue()) return;
+
+    const context = this.context;
+    const now = context.currentTime;
+
+    const rush = this.createNoise();
+    const sweep = context.createBiquadFilter();
+    const gain = context.createGain();
+    sweep.type = 'lowpass';
+    sweep.frequency.setValueAtTime(300, now);
+    sweep.frequency.exponentialRampToValueAtTime(4000, now + 0.35);
+    sweep.frequency.exponentialRampToValueAtTime(200, now + 1.8);
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(0.35, now + 0.2);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + 1.8);
+    this.play(rush, [sweep, gain], this.cueBus, now, 1.8);
+
+    const thump = context.createOscillator();
+    const thumpGain = context.createGain();
+    thump.frequency.setValueAtTime(70, now);
+    thump.frequency.exponentialRampToValueAtTime(32, now + 0.8);
+    thumpGain.gain.setValueAtTime(0.5, now);
+    thumpGain.gain.exponentialRampToValueAtTime(0.001, now + 0.9);
+    this.play(thump, [thumpGain], this.cueBus, now, 0.9);
+  }
+
+  playServiceChime(index) {
+    if (!this.canPlayCue()) return;
+
+    const note = SERVICE_NOTES[index % SERVICE_NOTES.length];
+    this.tone(note, { gain: 0.12, duration: 1.6 });
+    this.tone(note * 2, { gain: 0.04, duration: 1.0, delay: 0.02 });
+  }
+
+  playStars() {
+    if (!this.canPlayCue()) return;
+
+    [1046.5, 1318.5, 1568.0, 2093.0, 2637.0].forEach((note, i) => {
+      this.tone(note, { type: 'triangle', gain: 0.05, duration: 1.4, delay: i * 0.14 });
+    });
+  }
+
+  playPeace() {
+    if (!this.canPlayCue()) return;
+
+    [261.63, 329.63, 392.0, 523.25].forEach((note, i) => {
+      this.tone(note, { gain: 0.06, attack: 1.5, duration: 5.5, delay: i * 0.05 });
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // LIFECYCLE
+  // ═══════════════════════════════════════════════════════════
+
+  // The tab went to the background
+  suspend() {
+    this.isSuspended = true;
+    if (this.context) this.context.suspend();
+  }
+
+  resume() {
+    this.isSuspended = false;
+    if (!this.context || !this.enabled) return;
+
+    this.context.resume();
+    this.scheduleBubbles();
+  }
+
+  destroy() {
+    Object.entries(this.cueHandlers).forEach(([type, handler]) => {
+      window.removeEventListener(type, handler);
+    });
+    clearTimeout(this.bubbleTimer);
+    if (this.context) this.context.close();
+    this.context = null;
+  }
+}
@@ -5,6 +5,7 @@
 
 import * as THREE from 'three';
 import { isMobile } from '../utils/device.js';
+import { createRandom } from '../utils/random.js';
 
 export class AbstractGeometry {
   constructor(options = {}) {
@@ -12,6 +13,7 @@ export class AbstractGeometry {
     this.position = options.position || { x: 0, y: 0, z: 0 };
     this.scale = options.scale || 1;
     this.color = options.color || 0x2dd4bf;
+    this.random = options.random || createRandom(`geometry:${this.type}`);
     
     this.group = new THREE.Group();
     this.meshes = [];
@@ -276,17 +278,17 @@ export class AbstractGeometry {
     });
     
     for (let i = 0; i < sphereCount; i++) {
-      const size = 0.5 + Math.random() * 2;
+      const size = 0.5 + this.random() * 2;
       const geometry = new THREE.SphereGeometry(size, 16, 16);
       const material = baseMaterial.clone();
-      material.opacity = 0.4 + Math.random() * 0.4;
+      material.opacity = 0.4 + this.random() * 0.4;
       
       const sphere = new THREE.Mesh(geometry, material);
       
       // Position in a clustered pattern
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
-      const r = 3 + Math.random() * 8;
+      const theta = this.random() * Math.PI * 2;
+      const phi = Math.acos(2 * this.random() - 1);
+      const r = 3 + this.random() * 8;
       
       sphere.position.set(
         r * Math.sin(phi) * Math.cos(theta),
@@ -295,8 +297,8 @@ export class AbstractGeometry {
       );
       
       sphere.userData.originalPosition = sphere.position.clone();
-      sphere.userData.phase = Math.random() * Math.PI * 2;
-      sphere.userData.speed = 0.5 + Math.random() * 0.5;
+      sphere.userData.phase = this.random() * Math.PI * 2;
+      sphere.userData.speed = 0.5 + this.random() * 0.5;
       
       this.meshes.push(sphere);
       this.group.add(sphere);
@@ -0,0 +1,220 @@
+/**
+ * Aurora Aqua - Asset Manager
+ * Loads textures, GLTF models, HDR environments and audio through one
+ * THREE.LoadingManager. Assets are cached by URL for the lifetime of the
+ * page, so Barba navigations (and prefetches) never download twice.
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { markShared } from './ResourceTracker.js';
+
+// Relative share of the progress bar per asset type
+const DEFAULT_WEIGHTS = {
+  texture: 1,
+  gltf: 4,
+  hdr: 3,
+  audio: 2,
+};
+
+const EXTENSION_TYPES = {
+  png: 'texture',
+  jpg: 'texture',
+  jpeg: 'texture',
+  webp: 'texture',
+  avif: 'texture',
+  svg: 'texture',
+  gltf: 'gltf',
+  glb: 'gltf',
+  hdr: 'hdr',
+  mp3: 'audio',
+  ogg: 'audio',
+  wav: 'audio',
+  m4a: 'audio',
+};
+
+export class AssetManager {
+  constructor() {
+    this.manager = new THREE.LoadingManager();
+    // key → promise (in flight or settled) and key → loaded asset
+    this.cache = new Map();
+    this.resolved = new Map();
+
+    this.textureLoader = new THREE.TextureLoader(this.manager);
+    this.gltfLoader = new GLTFLoader(this.manager);
+    this.hdrLoader = new RGBELoader(this.manager);
+    this.audioLoader = new THREE.FileLoader(this.manager);
+    this.audioLoader.setResponseType('arraybuffer');
+
+    this.manager.onError = (url) => {
+      console.warn('⚠️ AssetManager: Failed to load', url);
+    };
+  }
+
+  /**
+   * Normalise a manifest entry: a bare URL string or
+   * { url, type?, weight?, key?, colorSpace? }.
+   */
+  resolveEntry(entry) {
+    const item = typeof entry === 'string' ? { url: entry } : { ...entry };
+    const extension = item.url.split('?')[0].split('.').pop().toLowerCase();
+
+    item.type = item.type || EXTENSION_TYPES[extension];
+    item.weight = item.weight ?? DEFAULT_WEIGHTS[item.type] ?? 1;
+    item.href = this.resolveUrl(item.url);
+    item.key = item.key || item.url;
+
+    return item;
+  }
+
+  // Public-folder paths are relative to the deploy base
+  resolveUrl(url) {
+    if (/^(?:[a-z]+:)?\/\//i.test(url) || url.startsWith('/') || url.startsWith('data:')) {
+      return url;
+    }
+    return `${import.meta.env.BASE_URL}${url}`;
+  }
+
+  // Total progress weight of a manifest
+  getWeight(manifest = []) {
+    return manifest.reduce((sum, entry) => sum + this.resolveEntry(entry).weight, 0);
+  }
+
+  /**
+   * Load every entry of a manifest.
+   * @param {Array} manifest - Scene asset manifest
+   * @param {object} options
+   * @param {Function} options.onProgress - Called with a weighted 0..1 ratio
+   * @returns {Promise<Map>} key → asset (failed entries are omitted)
+   */
+  async load(manifest = [], options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const items = manifest.map(entry => this.resolveEntry(entry));
+    const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+    const progress = new Array(items.length).fill(0);
+
+    const report = () => {
+      if (totalWeight === 0) return;
+      const loaded = items.reduce((sum, item, i) => sum + item.weight * progress[i], 0);
+      onProgress(loaded / totalWeight);
+    };
+
+    const results = new Map();
+
+    await Promise.all(items.map((item, i) => {
+      return this.loadItem(item, (ratio) => {
+        progress[i] = ratio;
+        report();
+      }).then((asset) => {
+        results.set(item.key, asset);
+      }).catch(() => {
+        // A missing asset must not block the page; scenes check get()
+      }).finally(() => {
+        progress[i] = 1;
+        report();
+      });
+    }));
+
+    onProgress(1);
+    return results;
+  }
+
+  // Warm the cache during idle time; nothing waits on the result
+  prefetch(manifest = []) {
+    if (!manifest.length) return;
+
+    const run = () => {
+      const fresh = manifest.filter(entry => !this.has(this.resolveEntry(entry).key));
+      if (!fresh.length) return;
+
+      console.log(`📦 AssetManager: Prefetching ${fresh.length} asset(s)`);
+      this.load(fresh);
+    };
+
+    if ('requestIdleCallback' in window) {
+      window.requestIdleCallback(run, { timeout: 2000 });
+    } else {
+      setTimeout(run, 200);
+    }
+  }
+
+  loadItem(item, onProgress) {
+    const cached = this.cache.get(item.key);
+    if (cached) {
+      onProgress(1);
+      return cached;
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      const loader = this.getLoader(item.type);
+      if (!loader) {
+        reject(new Error(`Unknown asset type for ${item.url}`));
+        return;
+      }
+
+      loader.load(item.href, resolve, (event) => {
+        if (event && event.lengthComputable && event.total > 0) {
+          onProgress(event.loaded / event.total);
+        }
+      }, reject);
+    }).then(asset => this.prepare(item, asset));
+
+    // Failed loads are evicted so a later navigation can retry
+    promise.catch(() => this.cache.delete(item.key));
+    this.cache.set(item.key, promise);
+
+    return promise;
+  }
+
+  getLoader(type) {
+    switch (type) {
+      case 'texture': return this.textureLoader;
+      case 'gltf': return this.gltfLoader;
+      case 'hdr': return this.hdrLoader;
+      case 'audio': return this.audioLoader;
+      default: return null;
+    }
+  }
+
+  prepare(item, asset) {
+    if (item.type === 'texture') {
+      asset.colorSpace = item.colorSpace || THREE.SRGBColorSpace;
+    } else if (item.type === 'hdr') {
+      asset.mapping = THREE.EquirectangularReflectionMapping;
+    }
+
+    // The cache outlives the scenes using it; it disposes its own assets
+    if (item.type === 'gltf') {
+      asset.scene.traverse(child => {
+        if (child.geometry) markShared(child.geometry);
+        [].concat(child.material || []).forEach(markShared);
+      });
+    } else {
+      markShared(asset);
+    }
+
+    // Audio stays an ArrayBuffer; it is decoded once an AudioContext
+    // exists, and get() hands out copies since decoding detaches it
+    this.resolved.set(item.key, asset);
+    return asset;
+  }
+
+  has(key) {
+    return this.cache.has(key);
+  }
+
+  // Synchronous access to an asset that has finished loading
+  get(key) {
+    const asset = this.resolved.get(key);
+    return asset instanceof ArrayBuffer ? asset.slice(0) : asset;
+  }
+
+  dispose() {
+    this.resolved.forEach(asset => {
+      if (asset && typeof asset.dispose === 'function') asset.dispose();
+    });
+    this.resolved.clear();
+    this.cache.clear();
+  }
+}
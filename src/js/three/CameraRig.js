@@ -0,0 +1,259 @@
+/**
+ * Aurora Aqua - Camera Rig
+ * Moves a scene camera along keyframed splines. Each keyframe pins a
+ * position (and optionally a look-at point) to a progress value; progress
+ * comes from scroll or from the scene clock. On top of the path sit
+ * per-frame offsets (sway, intro dollies), pointer or gyro parallax, an orbit
+ * around the target and roll. Portrait viewports widen the FOV so the
+ * framing designed for desktop still fits.
+ */
+
+import * as THREE from 'three';
+import { isMobile } from '../utils/device.js';
+
+const _position = new THREE.Vector3();
+const _target = new THREE.Vector3();
+
+function toVector(value) {
+  if (!value) return null;
+  if (value.isVector3) return value.clone();
+  return new THREE.Vector3(value[0], value[1], value[2]);
+}
+
+// Per-frame factor at 60fps → factor for this frame's delta
+function frameFactor(factor, delta) {
+  if (factor >= 1) return 1;
+  return 1 - Math.pow(1 - factor, delta * 60);
+}
+
+export class CameraRig {
+  /**
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {object} options
+   * @param {Array} options.keyframes - { at, position, target? } with `at`
+   *   in 0..1 and vectors as [x, y, z] or THREE.Vector3
+   * @param {Array|THREE.Vector3} options.target - Fixed look-at point used
+   *   when keyframes have no target; omit both to leave rotation alone
+   * @param {string|object} options.drive - 'scroll' (default), 'manual',
+   *   or { duration, loop } to follow the scene clock
+   * @param {number} options.damping - Share of the remaining distance
+   *   covered per 60fps frame; 1 follows the path exactly
+   * @param {object} options.parallax - { x, y, smoothing } world units at
+   *   the viewport edge (or full tilt)
+   * @param {InputService} options.input - Source of pointer/tilt parallax
+   * @param {object} options.fov - { base, mobile, minAspect, max }
+   */
+  constructor(camera, options = {}) {
+    this.camera = camera;
+    this.enabled = true;
+    this.drive = options.drive || 'scroll';
+    this.progress = 0;
+
+    // Written by scenes every frame or tweened by GSAP
+    this.offset = new THREE.Vector3();
+    this.targetOffset = new THREE.Vector3();
+    this.orbitAngle = 0;
+    this.roll = options.roll ?? null;
+
+    // Numeric knobs, exposed to the ?debug inspector
+    const parallax = options.parallax || {};
+    this.tuning = {
+      damping: options.damping ?? 0.05,
+      parallaxX: parallax.x || 0,
+      parallaxY: parallax.y || 0,
+      parallaxSmoothing: parallax.smoothing ?? 0.05,
+    };
+
+    this.pointer = { x: 0, y: 0 };
+    this.pointerTarget = { x: 0, y: 0 };
+    this.unsubscribeInput = null;
+    if ((parallax.x || parallax.y) && options.input) {
+      this.unsubscribeInput = options.input.onParallax((x, y) => this.setPointer(x, y));
+    }
+
+    const fov = options.fov || {};
+    this.fov = {
+      base: fov.base || camera.fov,
+      mobile: fov.mobile || null,
+      minAspect: fov.minAspect ?? 1,
+      max: fov.max || 85,
+    };
+
+    this.fixedTarget = toVector(options.target);
+    this.setKeyframes(options.keyframes || [{ at: 0, position: camera.position }]);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // PATH
+  // ═══════════════════════════════════════════════════════════
+
+  setKeyframes(keyframes) {
+    this.keyframes = keyframes
+      .map(frame => ({
+        at: frame.at ?? 0,
+        position: toVector(frame.position),
+        target: toVector(frame.target),
+      }))
+      .sort((a, b) => a.at - b.at);
+
+    const curve = (points) => points.length > 1
+      ? new THREE.CatmullRomCurve3(points, false, 'centripetal')
+      : null;
+
+    this.positionCurve = curve(this.keyframes.map(frame => frame.position));
+    this.targetCurve = this.keyframes.every(frame => frame.target)
+      ? curve(this.keyframes.map(frame => frame.target))
+      : null;
+  }
+
+  /**
+   * Map progress to the spline parameter so every keyframe is reached
+   * exactly at its `at`, however unevenly the keyframes are spaced.
+   */
+  getCurveParameter(progress) {
+    const frames = this.keyframes;
+    const last = frames.length - 1;
+    const p = Math.max(frames[0].at, Math.min(frames[last].at, progress));
+
+    let i = 0;
+    while (i < last - 1 && p > frames[i + 1].at) i++;
+
+    const span = frames[i + 1].at - frames[i].at;
+    const local = span > 0 ? (p - frames[i].at) / span : 0;
+    return (i + local) / last;
+  }
+
+  /**
+   * Path position and look-at point at a progress, before offsets.
+   * @returns {boolean} Whether the rig has a look-at point
+   */
+  sample(progress, position, target) {
+    const single = this.keyframes.length < 2;
+    const u = single ? 0 : this.getCurveParameter(progress);
+
+    if (single) {
+      position.copy(this.keyframes[0].position);
+    } else {
+      this.positionCurve.getPoint(u, position);
+    }
+
+    if (this.targetCurve) {
+      this.targetCurve.getPoint(u, target);
+      return true;
+    }
+    if (single && this.keyframes[0].target) {
+      target.copy(this.keyframes[0].target);
+      return true;
+    }
+    if (this.fixedTarget) {
+      target.copy(this.fixedTarget);
+      return true;
+    }
+    return false;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // FRAME
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * @param {number} delta - Seconds since the last frame
+   * @param {number} elapsed - Scene time
+   * @param {number} scrollProgress - 0..1 page scroll
+   */
+  update(delta, elapsed, scrollProgress = 0) {
+    if (!this.enabled) return;
+
+    this.progress = this.resolveProgress(elapsed, scrollProgress);
+
+    const tuning = this.tuning;
+    const pointerK = frameFactor(tuning.parallaxSmoothing, delta);
+    this.pointer.x += (this.pointerTarget.x - this.pointer.x) * pointerK;
+    this.pointer.y += (this.pointerTarget.y - this.pointer.y) * pointerK;
+
+    const hasTarget = this.sample(this.progress, _position, _target);
+
+    // Orbit the path around the look-at point (or the origin)
+    if (this.orbitAngle) {
+      const cx = hasTarget ? _target.x : 0;
+      const cz = hasTarget ? _target.z : 0;
+      const dx = _position.x - cx;
+      const dz = _position.z - cz;
+      const cos = Math.cos(this.orbitAngle);
+      const sin = Math.sin(this.orbitAngle);
+      _position.x = cx + dx * cos - dz * sin;
+      _position.z = cz + dx * sin + dz * cos;
+    }
+
+    _position.add(this.offset);
+    _position.x += this.pointer.x * tuning.parallaxX;
+    _position.y += this.pointer.y * tuning.parallaxY;
+
+    this.camera.position.lerp(_position, frameFactor(tuning.damping, delta));
+
+    if (hasTarget) {
+      _target.add(this.targetOffset);
+      this.camera.lookAt(_target);
+    }
+
+    if (this.roll !== null) this.camera.rotation.z = this.roll;
+  }
+
+  resolveProgress(elapsed, scrollProgress) {
+    if (this.drive === 'scroll') return scrollProgress;
+    if (this.drive === 'manual') return this.progress;
+
+    const duration = this.drive.duration || 1;
+    const t = elapsed / duration;
+    return this.drive.loop ? t % 1 : Math.min(1, t);
+  }
+
+  // Jump onto the path, e.g. after a seek, without damping
+  snap(elapsed = 0, scrollProgress = 0) {
+    const damping = this.tuning.damping;
+    this.tuning.damping = 1;
+    this.pointer.x = this.pointerTarget.x;
+    this.pointer.y = this.pointerTarget.y;
+    this.update(0, elapsed, scrollProgress);
+    this.tuning.damping = damping;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // INPUT & VIEWPORT
+  // ═══════════════════════════════════════════════════════════
+
+  // Parallax input in -1..1, y down
+  setPointer(x, y) {
+    this.pointerTarget.x = x;
+    this.pointerTarget.y = y;
+  }
+
+  /**
+   * Pick the vertical FOV for the viewport. Below `minAspect` the FOV
+   * widens to keep the horizontal framing of a `minAspect` viewport.
+   */
+  resize(width, height) {
+    if (!width || !height) return;
+
+    const aspect = width / height;
+    const base = (isMobile() && this.fov.mobile) || this.fov.base;
+    let fov = base;
+
+    if (aspect < this.fov.minAspect) {
+      const halfHeight = Math.tan(THREE.MathUtils.degToRad(base / 2)) * this.fov.minAspect / aspect;
+      fov = Math.max(base, Math.min(this.fov.max, THREE.MathUtils.radToDeg(Math.atan(halfHeight)) * 2));
+    }
+
+    if (fov !== this.camera.fov) {
+      this.camera.fov = fov;
+      this.camera.updateProjectionMatrix();
+    }
+  }
+
+  dispose() {
+    if (this.unsubscribeInput) {
+      this.unsubscribeInput();
+      this.unsubscribeInput = null;
+    }
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Aurora Aqua - Environment Map
+ * Image-based lighting for physical materials. By default a small
+ * underwater "room" (depth gradient, caustics from the surface, a bright
+ * surface window) is prefiltered with PMREM, so no HDR download is needed;
+ * a loaded equirectangular HDR can be used instead.
+ */
+
+import * as THREE from 'three';
+import { composeShader } from '../shaders/index.js';
+
+// Colours are sRGB hex; strengths are linear HDR multipliers
+export const ENVIRONMENT_PRESETS = {
+  // Bright shallows - strong caustics for metallic surfaces
+  shallows: {
+    top: 0xa5f3fc,
+    horizon: 0x0c4a6e,
+    bottom: 0x041e42,
+    caustic: 0xcffafe,
+    causticStrength: 0.9,
+    causticScale: 2.5,
+    surfaceStrength: 4.0,
+  },
+  // Mid-water - softer light fading into the deep
+  deep: {
+    top: 0x22d3ee,
+    horizon: 0x0a3d62,
+    bottom: 0x01060e,
+    caustic: 0x67e8f9,
+    causticStrength: 0.45,
+    causticScale: 1.8,
+    surfaceStrength: 2.0,
+  },
+  // Night sea - moonlit surface, barely any caustics
+  twilight: {
+    top: 0x1a3a5c,
+    horizon: 0x0a0a1a,
+    bottom: 0x05050d,
+    caustic: 0xe0f2fe,
+    causticStrength: 0.15,
+    causticScale: 1.2,
+    surfaceStrength: 1.5,
+  },
+};
+
+const RoomShader = {
+  uniforms: {
+    topColor: { value: new THREE.Color() },
+    horizonColor: { value: new THREE.Color() },
+    bottomColor: { value: new THREE.Color() },
+    causticColor: { value: new THREE.Color() },
+    causticStrength: { value: 0.5 },
+    causticScale: { value: 2.0 },
+    surfaceStrength: { value: 2.0 },
+    intensity: { value: 1.0 },
+  },
+
+  vertexShader: /* glsl */`
+    varying vec3 vDirection;
+
+    void main() {
+      vDirection = normalize(position);
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+
+  fragmentShader: composeShader(/* glsl */`
+    uniform vec3 topColor;
+    uniform vec3 horizonColor;
+    uniform vec3 bottomColor;
+    uniform vec3 causticColor;
+    uniform float causticStrength;
+    uniform float causticScale;
+    uniform float surfaceStrength;
+    uniform float intensity;
+
+    varying vec3 vDirection;
+
+    #include "caustics"
+
+    void main() {
+      vec3 dir = normalize(vDirection);
+      float h = dir.y;
+
+      vec3 color = h > 0.0
+        ? mix(horizonColor, topColor, pow(h, 0.6))
+        : mix(horizonColor, bottomColor, pow(-h, 0.5));
+
+      // Caustics projected onto the surface plane above
+      if (h > 0.0) {
+        vec2 uv = dir.xz / max(h, 0.15) * causticScale;
+        color += causticColor * causticPattern(uv) * causticStrength * smoothstep(0.0, 0.6, h);
+      }
+
+      // Snell's window - the bright patch of sky straight overhead
+      color += causticColor * pow(max(h, 0.0), 12.0) * surfaceStrength;
+
+      gl_FragColor = vec4(color * intensity, 1.0);
+    }
+  `),
+};
+
+export class EnvironmentMap {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {object} options
+   * @param {string} options.preset - Key of ENVIRONMENT_PRESETS
+   * @param {number} options.intensity - Overall brightness of the generated map
+   * @param {THREE.Texture} options.texture - Equirectangular HDR used instead
+   */
+  constructor(renderer, options = {}) {
+    this.renderer = renderer;
+    this.preset = ENVIRONMENT_PRESETS[options.preset] || ENVIRONMENT_PRESETS.shallows;
+    this.intensity = options.intensity ?? 1.0;
+    this.source = options.texture || null;
+    this.renderTarget = null;
+  }
+
+  /**
+   * Prefilter the environment (again, after a context restore).
+   * @returns {THREE.Texture} Texture for scene.environment
+   */
+  generate() {
+    const pmrem = new THREE.PMREMGenerator(this.renderer);
+
+    if (this.renderTarget) this.renderTarget.dispose();
+
+    if (this.source) {
+      this.renderTarget = pmrem.fromEquirectangular(this.source);
+    } else {
+      const room = this.createRoom();
+      this.renderTarget = pmrem.fromScene(room.scene, 0.02);
+      room.dispose();
+    }
+
+    pmrem.dispose();
+    return this.renderTarget.texture;
+  }
+
+  createRoom() {
+    const uniforms = THREE.UniformsUtils.clone(RoomShader.uniforms);
+    const preset = this.preset;
+
+    uniforms.topColor.value.setHex(preset.top);
+    uniforms.horizonColor.value.setHex(preset.horizon);
+    uniforms.bottomColor.value.setHex(preset.bottom);
+    uniforms.causticColor.value.setHex(preset.caustic);
+    uniforms.causticStrength.value = preset.causticStrength;
+    uniforms.causticScale.value = preset.causticScale;
+    uniforms.surfaceStrength.value = preset.surfaceStrength;
+    uniforms.intensity.value = this.intensity;
+
+    const geometry = new THREE.SphereGeometry(10, 64, 32);
+    const material = new THREE.ShaderMaterial({
+      uniforms,
+      vertexShader: RoomShader.vertexShader,
+      fragmentShader: RoomShader.fragmentShader,
+      side: THREE.BackSide,
+      depthWrite: false,
+    });
+
+    const scene = new THREE.Scene();
+    scene.add(new THREE.Mesh(geometry, material));
+
+    return {
+      scene,
+      dispose: () => {
+        geometry.dispose();
+        material.dispose();
+      },
+    };
+  }
+
+  getTexture() {
+    return this.renderTarget ? this.renderTarget.texture : null;
+  }
+
+  dispose() {
+    if (this.renderTarget) {
+      this.renderTarget.dispose();
+      this.renderTarget = null;
+    }
+  }
+}
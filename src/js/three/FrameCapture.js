@@ -0,0 +1,207 @@
+/**
+ * Aurora Aqua - Frame Capture
+ * Offline export of a scene for marketing material. Frames are produced
+ * on the manual scene clock at a fixed resolution and frame rate, so a
+ * capture (with a pinned ?seed) is identical however slow the machine is.
+ * The first frame seeks to the start; the rest step one frame's time, so
+ * delta-driven motion (camera damping, ripples, waves) plays as it would
+ * live.
+ * Output is a PNG sequence or a WebM recorded with MediaRecorder.
+ */
+
+const WEBM_TYPES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+];
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class FrameCapture {
+  /**
+   * @param {SceneManager} sceneManager
+   * @param {object} options
+   * @param {string} options.format - 'webm' (default) or 'png'
+   * @param {number} options.width - Output width in pixels
+   * @param {number} options.height - Output height in pixels
+   * @param {number} options.fps - Frames per second
+   * @param {number} options.duration - Seconds of scene time to capture
+   * @param {number} options.start - Scene time of the first frame
+   * @param {string} options.tier - Quality tier used while capturing
+   * @param {number} options.bitrate - WebM video bits per second
+   * @param {Function} options.seek - Puts the scene at a time (defaults to
+   *   sceneManager.seek; scenes pass their own so tweens follow)
+   * @param {Function} options.step - Advances the scene by a delta
+   *   (defaults to sceneManager.step; scenes pass their own likewise)
+   * @param {Function} options.onProgress - Called with 0..1 per frame
+   */
+  constructor(sceneManager, options = {}) {
+    this.sceneManager = sceneManager;
+    this.format = options.format === 'png' ? 'png' : 'webm';
+    this.width = options.width || 1920;
+    this.height = options.height || 1080;
+    this.fps = options.fps || 30;
+    this.duration = options.duration ?? 5;
+    this.start = options.start || 0;
+    this.tier = options.tier || 'high';
+    this.bitrate = options.bitrate || 12000000;
+    this.seek = options.seek || (time => sceneManager.seek(time));
+    this.step = options.step || (delta => sceneManager.step(delta));
+    this.onProgress = options.onProgress || (() => {});
+    this.isCancelled = false;
+  }
+
+  get frameCount() {
+    return Math.max(1, Math.round(this.duration * this.fps));
+  }
+
+  /**
+   * @returns {Promise<object>} { format, width, height, fps, frames | video }
+   */
+  async run() {
+    const manager = this.sceneManager;
+    const previousTier = manager.getPerformanceTier();
+
+    manager.setManualTime(true);
+    manager.setViewportOverride({ width: this.width, height: this.height, pixelRatio: 1 });
+    manager.setQualityTier(this.tier);
+
+    console.log(`🎥 FrameCapture: ${this.frameCount} frames at ${this.width}×${this.height}, ${this.fps}fps (${this.format})`);
+
+    try {
+      const output = this.format === 'png'
+        ? await this.capturePng()
+        : await this.captureWebm();
+
+      return {
+        format: this.format,
+        width: this.width,
+        height: this.height,
+        fps: this.fps,
+        ...output
+      };
+    } finally {
+      manager.setQualityTier(previousTier);
+      manager.setViewportOverride(null);
+    }
+  }
+
+  cancel() {
+    this.isCancelled = true;
+  }
+
+  getCanvas() {
+    return this.sceneManager.getRenderer().domElement;
+  }
+
+  // Render frame `index`; frames must be advanced in order
+  advance(index) {
+    if (index === 0) {
+      this.seek(this.start);
+    } else {
+      this.step(1 / this.fps);
+    }
+  }
+
+  async capturePng() {
+    const frames = [];
+
+    for (let i = 0; i < this.frameCount && !this.isCancelled; i++) {
+      this.advance(i);
+      frames.push(await this.grabFrame());
+      this.onProgress((i + 1) / this.frameCount);
+    }
+
+    return { frames };
+  }
+
+  // toBlob snapshots the drawing buffer synchronously, right after the draw
+  grabFrame() {
+    return new Promise((resolve, reject) => {
+      this.getCanvas().toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('FrameCapture: canvas could not be encoded'));
+        }
+      }, 'image/png');
+    });
+  }
+
+  /**
+   * MediaRecorder stamps frames with wall-clock time, so frames are
+   * pushed at the target rate; each one is still rendered on the manual
+   * clock. Keep fps at or below the display refresh rate.
+   */
+  async captureWebm() {
+    const canvas = this.getCanvas();
+
+    if (typeof MediaRecorder === 'undefined' || typeof canvas.captureStream !== 'function') {
+      throw new Error('FrameCapture: WebM export needs MediaRecorder and canvas.captureStream');
+    }
+
+    const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: this.bitrate });
+    const chunks = [];
+
+    recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = new Promise(resolve => {
+      recorder.onstop = resolve;
+    });
+
+    recorder.start();
+
+    const interval = 1000 / this.fps;
+    let next = performance.now();
+
+    for (let i = 0; i < this.frameCount && !this.isCancelled; i++) {
+      this.advance(i);
+      track.requestFrame();
+      this.onProgress((i + 1) / this.frameCount);
+
+      next += interval;
+      await wait(Math.max(0, next - performance.now()));
+    }
+
+    recorder.stop();
+    await stopped;
+    track.stop();
+
+    return { video: new Blob(chunks, { type: mimeType || 'video/webm' }) };
+  }
+}
+
+/**
+ * Save a capture result: one .webm, or numbered PNGs.
+ * @param {object} result - FrameCapture result
+ * @param {string} basename - File name without extension
+ */
+export async function downloadCapture(result, basename = 'capture') {
+  const save = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  if (result.format === 'webm') {
+    save(result.video, `${basename}.webm`);
+    return;
+  }
+
+  // Browsers drop bursts of downloads; space them out
+  for (let i = 0; i < result.frames.length; i++) {
+    save(result.frames[i], `${basename}-${String(i + 1).padStart(4, '0')}.png`);
+    await wait(150);
+  }
+}
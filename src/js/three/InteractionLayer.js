@@ -0,0 +1,261 @@
+/**
+ * Aurora Aqua - Interaction Layer
+ * Makes scene objects hoverable, clickable and focusable. The canvas sits
+ * under the page content, so the pointer is raycast from the shared
+ * InputService rather than canvas events; anything over page content
+ * belongs to the page, so objects only react where the backdrop shows.
+ *
+ * Registered objects receive three.js events: 'pointerenter',
+ * 'pointerleave', 'click' ({ source: 'pointer' | 'touch' | 'keyboard' }),
+ * 'focus' and 'blur'. Each one also gets a visually hidden button, so
+ * keyboard and screen-reader users reach the same actions; the focused
+ * button shows its label next to the object.
+ */
+
+import * as THREE from 'three';
+import { isOnBackdrop } from '../utils/pointer.js';
+
+const _projected = new THREE.Vector3();
+
+function isShown(object) {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible) return false;
+  }
+  return true;
+}
+
+function isInView(ndc) {
+  return Math.abs(ndc.x) <= 1 && Math.abs(ndc.y) <= 1;
+}
+
+export class InteractionLayer {
+  /**
+   * @param {THREE.Camera} camera
+   * @param {object} options
+   * @param {InputService} options.input - Pointer and tap source
+   * @param {HTMLElement} options.element - Box the camera renders into;
+   *   pointer positions are mapped against it (defaults to the window)
+   * @param {HTMLElement} options.container - Holds the keyboard proxies
+   *   (defaults to the end of <body>, after the page's own controls)
+   * @param {string} options.label - Accessible name of the proxy list
+   */
+  constructor(camera, options = {}) {
+    this.camera = camera;
+    this.input = options.input || null;
+    this.element = options.element || null;
+    this.raycaster = new THREE.Raycaster();
+    // object → { label, proxy }
+    this.targets = new Map();
+    this.hovered = null;
+    this.focused = null;
+
+    // Client coordinates; mapped into the view every frame, since a
+    // view that is not fixed moves under a still pointer
+    this.pointer = new THREE.Vector2();
+    this.hasPointer = false;
+    this.pointerBlocked = false;
+
+    this.proxies = document.createElement('div');
+    this.proxies.className = 'scene-proxies';
+    this.proxies.setAttribute('role', 'group');
+    this.proxies.setAttribute('aria-label', `${options.label || 'Scene'} 3D objects`);
+    (options.container || document.body).appendChild(this.proxies);
+
+    this.unsubscribers = [];
+    if (this.input) {
+      this.unsubscribers.push(this.input.onPointerMove((x, y, pointer) => {
+        if (pointer.type === 'touch') return;
+        this.pointer.set(pointer.clientX, pointer.clientY);
+        this.hasPointer = true;
+        this.pointerBlocked = !isOnBackdrop(pointer.target);
+      }));
+      this.unsubscribers.push(this.input.onGesture((gesture) => {
+        if (gesture.type !== 'tap' || !isOnBackdrop(gesture.target)) return;
+        const ndc = this.toNdc(gesture.clientX, gesture.clientY, _projected);
+        const object = isInView(ndc) ? this.pick(ndc) : null;
+        if (object) this.dispatch(object, 'click', { source: 'touch' });
+      }));
+    }
+
+    // A click on text or a card over an object is the page's, not a
+    // request to navigate
+    this.clickHandler = (e) => {
+      if (!this.hovered || e.pointerType === 'touch' || !isOnBackdrop(e.target)) return;
+      this.dispatch(this.hovered, 'click', { source: 'pointer' });
+    };
+    window.addEventListener('click', this.clickHandler);
+  }
+
+  /**
+   * @param {THREE.Object3D} object - Mesh or group (hits on children count)
+   * @param {object} options
+   * @param {string} options.label - Accessible name, e.g. "Go to Aqua Sahay"
+   * @param {boolean} options.proxy - false for a pointer-only shortcut
+   *   to an action another target already offers the keyboard
+   * @returns {THREE.Object3D} The object
+   */
+  add(object, options = {}) {
+    if (this.targets.has(object)) return object;
+
+    const label = options.label || object.name || 'Scene object';
+    if (options.proxy === false) {
+      this.targets.set(object, { label, proxy: null });
+      return object;
+    }
+
+    const proxy = document.createElement('button');
+    proxy.type = 'button';
+    proxy.className = 'scene-proxy';
+    proxy.textContent = label;
+
+    proxy.addEventListener('focus', () => this.setFocused(object));
+    proxy.addEventListener('blur', () => this.setFocused(null));
+    // Enter and Space arrive as click on a button
+    proxy.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.dispatch(object, 'click', { source: 'keyboard' });
+    });
+
+    this.proxies.appendChild(proxy);
+    this.targets.set(object, { label, proxy });
+    return object;
+  }
+
+  remove(object) {
+    const target = this.targets.get(object);
+    if (!target) return;
+
+    if (this.hovered === object) this.setHovered(null);
+    if (this.focused === object) this.setFocused(null);
+    if (target.proxy) target.proxy.remove();
+    this.targets.delete(object);
+  }
+
+  setLabel(object, label) {
+    const target = this.targets.get(object);
+    if (!target) return;
+
+    target.label = label;
+    if (target.proxy) target.proxy.textContent = label;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // PICKING
+  // ═══════════════════════════════════════════════════════════
+
+  getRect() {
+    if (this.element) return this.element.getBoundingClientRect();
+    return { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+  }
+
+  // Client coordinates → normalized device coordinates of this view
+  toNdc(clientX, clientY, out) {
+    const rect = this.getRect();
+    return out.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1,
+      0
+    );
+  }
+
+  /**
+   * Nearest registered object under a point in normalized device
+   * coordinates, or null.
+   */
+  pick(ndc) {
+    if (!this.targets.size) return null;
+
+    this.raycaster.setFromCamera(ndc, this.camera);
+    const hits = this.raycaster.intersectObjects([...this.targets.keys()], true);
+
+    for (let i = 0; i < hits.length; i++) {
+      // Walk up from the hit mesh to the object that was registered
+      for (let node = hits[i].object; node; node = node.parent) {
+        if (this.targets.has(node)) {
+          if (isShown(node)) return node;
+          break;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Once per frame, after the camera has moved
+  update() {
+    // Objects move under a still pointer, so hover is re-checked each frame
+    let hovered = null;
+    if (this.hasPointer && !this.pointerBlocked) {
+      const ndc = this.toNdc(this.pointer.x, this.pointer.y, _projected);
+      if (isInView(ndc)) hovered = this.pick(ndc);
+    }
+    this.setHovered(hovered);
+
+    if (this.focused) this.placeProxy(this.focused);
+  }
+
+  // Put the focused proxy's label next to its object on screen
+  placeProxy(object) {
+    const { proxy } = this.targets.get(object);
+
+    const rect = this.getRect();
+    object.getWorldPosition(_projected).project(this.camera);
+    const x = rect.left + (_projected.x * 0.5 + 0.5) * rect.width;
+    const y = rect.top + (-_projected.y * 0.5 + 0.5) * rect.height;
+
+    proxy.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px)`;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // STATE
+  // ═══════════════════════════════════════════════════════════
+
+  setHovered(object) {
+    if (object === this.hovered) return;
+
+    const previous = this.hovered;
+    this.hovered = object;
+
+    if (previous) this.dispatch(previous, 'pointerleave');
+    if (object) this.dispatch(object, 'pointerenter');
+
+    // Hover only changes on/off here; between two objects it stays on
+    if (Boolean(previous) !== Boolean(object)) {
+      window.dispatchEvent(new CustomEvent('sceneHover', {
+        detail: { hovering: Boolean(object), label: object ? this.targets.get(object).label : null }
+      }));
+    }
+  }
+
+  setFocused(object) {
+    if (object === this.focused) return;
+
+    const previous = this.focused;
+    this.focused = object;
+
+    if (previous) {
+      this.targets.get(previous)?.proxy.classList.remove('is-focused');
+      this.dispatch(previous, 'blur');
+    }
+    if (object) {
+      this.targets.get(object).proxy.classList.add('is-focused');
+      this.placeProxy(object);
+      this.dispatch(object, 'focus');
+    }
+  }
+
+  dispatch(object, type, detail = {}) {
+    object.dispatchEvent({ type, ...detail });
+  }
+
+  dispose() {
+    this.setHovered(null);
+    this.setFocused(null);
+
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    window.removeEventListener('click', this.clickHandler);
+
+    this.proxies.remove();
+    this.targets.clear();
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Aurora Aqua - Multi-View Renderer
+ * Draws small extra scenes into page elements (cards, figures) through
+ * the renderer that is already on screen: each view is scissored into
+ * the canvas area under its element, after the main scene. There are no
+ * extra WebGL contexts, and views whose element is off screen are not
+ * updated or drawn.
+ *
+ * The canvas has to sit under the elements (the page-wide canvas does);
+ * the element itself should be transparent so the view shows through.
+ * By default only depth is cleared, so the main scene stays behind each
+ * view and square regions never show against rounded cards.
+ */
+
+import * as THREE from 'three';
+
+const _clearColor = new THREE.Color();
+const _size = new THREE.Vector2();
+
+// Elements this close to the viewport start updating a little early
+const VISIBILITY_MARGIN = '100px';
+
+export class MultiViewRenderer {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Renderer whose canvas lies
+   *   beneath the view elements
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+    // element → view
+    this.views = new Map();
+
+    this.observer = 'IntersectionObserver' in window
+      ? new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          const view = this.views.get(entry.target);
+          if (view) view.isVisible = entry.isIntersecting;
+        });
+      }, { rootMargin: VISIBILITY_MARGIN })
+      : null;
+  }
+
+  /**
+   * @param {HTMLElement} element - Where the view appears
+   * @param {object} view
+   * @param {THREE.Scene} view.scene
+   * @param {THREE.PerspectiveCamera} view.camera - Aspect is kept in sync
+   * @param {Function} [view.update] - (delta, elapsed) while visible
+   * @param {number} [view.clearColor] - Opaque background instead of
+   *   the main scene
+   * @param {number} [view.clearAlpha]
+   * @returns {object} The view
+   */
+  add(element, view) {
+    view.element = element;
+    view.isVisible = !this.observer;
+    view.clearColor = view.clearColor ?? null;
+    view.clearAlpha = view.clearAlpha ?? 1;
+
+    this.views.set(element, view);
+    if (this.observer) this.observer.observe(element);
+
+    return view;
+  }
+
+  remove(element) {
+    if (!this.views.has(element)) return;
+
+    this.views.delete(element);
+    if (this.observer) this.observer.unobserve(element);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // FRAME
+  // ═══════════════════════════════════════════════════════════
+
+  update(delta, elapsed) {
+    this.views.forEach(view => {
+      if (view.isVisible && view.update) view.update(delta, elapsed);
+    });
+  }
+
+  /**
+   * Draw every visible view over what is already in `target`.
+   * @param {THREE.WebGLRenderTarget|null} target - The screen, or a
+   *   transition target the size of the drawing buffer
+   */
+  render(target = null) {
+    const renderer = this.renderer;
+    const canvasRect = renderer.domElement.getBoundingClientRect();
+    if (!canvasRect.width || !canvasRect.height) return;
+
+    // Page px → region units: target pixels, or the renderer's size in
+    // CSS px (which differs from the page while a capture pins it)
+    const scale = (target ? target.width : renderer.getSize(_size).x) / canvasRect.width;
+
+    const autoClear = renderer.autoClear;
+    const clearAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(_clearColor);
+    renderer.autoClear = false;
+
+    this.views.forEach(view => {
+      if (!view.isVisible) return;
+
+      const rect = view.element.getBoundingClientRect();
+      const left = rect.left - canvasRect.left;
+      const top = rect.top - canvasRect.top;
+
+      // Scrolled out of the canvas, or collapsed
+      if (rect.width <= 0 || rect.height <= 0) return;
+      if (left + rect.width < 0 || left > canvasRect.width) return;
+      if (top + rect.height < 0 || top > canvasRect.height) return;
+
+      const aspect = rect.width / rect.height;
+      if (view.camera.aspect !== aspect) {
+        view.camera.aspect = aspect;
+        view.camera.updateProjectionMatrix();
+      }
+
+      // WebGL counts y from the bottom
+      this.setRegion(target, left * scale, (canvasRect.height - top - rect.height) * scale,
+        rect.width * scale, rect.height * scale);
+
+      if (view.clearColor === null) {
+        renderer.clearDepth();
+      } else {
+        renderer.setClearColor(view.clearColor, view.clearAlpha);
+        renderer.clear(true, true, false);
+      }
+      renderer.render(view.scene, view.camera);
+    });
+
+    this.setRegion(target, null);
+    renderer.setClearColor(_clearColor, clearAlpha);
+    renderer.autoClear = autoClear;
+  }
+
+  // Restrict drawing to a rectangle, or pass null to lift the restriction
+  setRegion(target, x, y, width, height) {
+    const renderer = this.renderer;
+
+    if (target) {
+      if (x === null) {
+        target.viewport.set(0, 0, target.width, target.height);
+        target.scissor.set(0, 0, target.width, target.height);
+        target.scissorTest = false;
+      } else {
+        target.viewport.set(x, y, width, height);
+        target.scissor.set(x, y, width, height);
+        target.scissorTest = true;
+      }
+      // Target viewports are read when the target is bound
+      renderer.setRenderTarget(target);
+      return;
+    }
+
+    if (x === null) {
+      const size = renderer.getSize(_size);
+      renderer.setViewport(0, 0, size.x, size.y);
+      renderer.setScissor(0, 0, size.x, size.y);
+      renderer.setScissorTest(false);
+      return;
+    }
+
+    renderer.setViewport(x, y, width, height);
+    renderer.setScissor(x, y, width, height);
+    renderer.setScissorTest(true);
+  }
+
+  dispose() {
+    if (this.observer) this.observer.disconnect();
+    this.views.clear();
+  }
+}
@@ -6,13 +6,19 @@
 
 import * as THREE from 'three';
 import { isMobile, getPerformanceTier } from '../utils/device.js';
+import { createRandom } from '../utils/random.js';
+
+// Visible particles per quality tier (buffers are sized for 'high')
+const BASE_COUNTS = { low: 400, medium: 1200, high: 2500 };
 
 export class ParticleSystem {
   constructor(options = {}) {
-    const tier = getPerformanceTier();
-    const baseCounts = { low: 400, medium: 1200, high: 2500 };
+    const tier = options.tier || getPerformanceTier();
     
-    this.count = options.count || baseCounts[tier] || 1200;
+    // Allocate for the highest tier so quality can step up without rebuilding
+    this.count = options.count || BASE_COUNTS.high;
+    this.tier = tier;
+    this.random = options.random || createRandom('particles');
     this.size = options.size || (isMobile() ? 0.3 : 0.45);
     this.spread = options.spread || { x: 100, y: 60, z: 80 };
     this.speed = options.speed || 0.5;
@@ -23,6 +29,7 @@ export class ParticleSystem {
   }
 
   init() {
+    const random = this.random;
     this.geometry = new THREE.BufferGeometry();
     
     const positions = new Float32Array(this.count * 3);
@@ -38,25 +45,25 @@ export class ParticleSystem {
       const i4 = i * 4;
       
       // Random positions
-      positions[i3] = (Math.random() - 0.5) * this.spread.x;
-      positions[i3 + 1] = (Math.random() - 0.5) * this.spread.y;
-      positions[i3 + 2] = (Math.random() - 0.5) * this.spread.z;
+      positions[i3] = (random() - 0.5) * this.spread.x;
+      positions[i3 + 1] = (random() - 0.5) * this.spread.y;
+      positions[i3 + 2] = (random() - 0.5) * this.spread.z;
       
       // Random colors between color1 and color2
-      const mixRatio = Math.random();
+      const mixRatio = random();
       const mixedColor = color1.clone().lerp(color2, mixRatio);
       colors[i3] = mixedColor.r;
       colors[i3 + 1] = mixedColor.g;
       colors[i3 + 2] = mixedColor.b;
       
       // Random sizes
-      sizes[i] = Math.random() * this.size + 0.1;
+      sizes[i] = random() * this.size + 0.1;
       
       // Random values for animation variation
-      randoms[i4] = Math.random();
-      randoms[i4 + 1] = Math.random();
-      randoms[i4 + 2] = Math.random();
-      randoms[i4 + 3] = Math.random();
+      randoms[i4] = random();
+      randoms[i4 + 1] = random();
+      randoms[i4 + 2] = random();
+      randoms[i4 + 3] = random();
     }
     
     this.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -150,6 +157,17 @@ export class ParticleSystem {
     });
     
     this.mesh = new THREE.Points(this.geometry, this.material);
+    this.setQuality(this.tier);
+  }
+
+  /**
+   * Show a tier-sized share of the particles. Positions are random,
+   * so any prefix of the buffer is an even sample.
+   */
+  setQuality(tier) {
+    this.tier = tier;
+    const share = (BASE_COUNTS[tier] || BASE_COUNTS.medium) / BASE_COUNTS.high;
+    this.geometry.setDrawRange(0, Math.round(this.count * share));
   }
 
   update(delta, elapsed) {
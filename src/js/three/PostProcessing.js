@@ -0,0 +1,411 @@
+/**
+ * Aurora Aqua - Post Processing
+ * Effect-composer stage for SceneManager: bloom on bioluminescent
+ * elements, underwater refraction wobble, chromatic aberration,
+ * film grain, vignette and depth-based colour grading.
+ * Each scene declares its own stack; the performance tier trims it.
+ */
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+import { composeShader } from '../shaders/index.js';
+
+// Which effects survive on each performance tier
+const TIER_EFFECTS = {
+  high: ['bloom', 'underwater', 'chromatic', 'grain', 'grading', 'vignette'],
+  medium: ['bloom', 'underwater', 'grading', 'vignette'],
+  low: ['grading', 'vignette'],
+};
+
+// Bloom renders at a fraction of the buffer size on weaker tiers
+const BLOOM_SCALE = { high: 1, medium: 0.5, low: 0.5 };
+
+const fullscreenVertex = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+// ═══════════════════════════════════════════════════════════
+// SHADERS
+// ═══════════════════════════════════════════════════════════
+
+const DepthGradingShader = {
+  name: 'DepthGradingShader',
+  uniforms: {
+    tDiffuse: { value: null },
+    tDepth: { value: null },
+    cameraNear: { value: 0.1 },
+    cameraFar: { value: 1000 },
+    uTint: { value: new THREE.Color(0x041e42) },
+    uNear: { value: 20 },
+    uFar: { value: 300 },
+    uStrength: { value: 0.5 },
+    uDesaturate: { value: 0.3 },
+  },
+  vertexShader: fullscreenVertex,
+  fragmentShader: composeShader(`
+    #include <packing>
+
+    uniform sampler2D tDiffuse;
+    uniform sampler2D tDepth;
+    uniform float cameraNear;
+    uniform float cameraFar;
+    uniform vec3 uTint;
+    uniform float uNear;
+    uniform float uFar;
+    uniform float uStrength;
+    uniform float uDesaturate;
+
+    varying vec2 vUv;
+
+    #include "depthFade"
+
+    void main() {
+      vec4 color = texture2D(tDiffuse, vUv);
+
+      float viewDepth = readViewDepth(tDepth, vUv, cameraNear, cameraFar);
+      float distanceFactor = depthFade(viewDepth, uNear, uFar) * uStrength;
+
+      // Distant colour loses saturation and sinks toward the water tint
+      float luma = dot(color.rgb, vec3(0.2126, 0.7152, 0.0722));
+      vec3 graded = mix(color.rgb, vec3(luma), uDesaturate * distanceFactor);
+      graded = mix(graded, graded * 0.35 + uTint * color.a, distanceFactor);
+
+      gl_FragColor = vec4(graded, color.a);
+    }
+  `),
+};
+
+const LensShader = {
+  name: 'LensShader',
+  defines: {},
+  uniforms: {
+    tDiffuse: { value: null },
+    uTime: { value: 0 },
+    uWobble: { value: 0.003 },
+    uWobbleSpeed: { value: 1.0 },
+    uChromatic: { value: 0.0015 },
+    uGrain: { value: 0.05 },
+    uVignetteOffset: { value: 1.0 },
+    uVignetteDarkness: { value: 0.6 },
+  },
+  vertexShader: fullscreenVertex,
+  fragmentShader: composeShader(`
+    uniform sampler2D tDiffuse;
+    uniform float uTime;
+    uniform float uWobble;
+    uniform float uWobbleSpeed;
+    uniform float uChromatic;
+    uniform float uGrain;
+    uniform float uVignetteOffset;
+    uniform float uVignetteDarkness;
+
+    varying vec2 vUv;
+
+    #include "noise"
+
+    void main() {
+      vec2 uv = vUv;
+
+      #ifdef USE_UNDERWATER
+        // Refraction wobble - slow crossing sine fields
+        float t = uTime * uWobbleSpeed;
+        uv += vec2(
+          sin(uv.y * 18.0 + t * 1.3) + sin(uv.y * 7.0 - t * 0.8),
+          cos(uv.x * 14.0 + t * 1.1) + cos(uv.x * 5.0 + t * 0.6)
+        ) * uWobble * 0.5;
+      #endif
+
+      vec4 color;
+
+      #ifdef USE_CHROMATIC
+        vec2 dir = uv - 0.5;
+        vec2 shift = dir * uChromatic;
+        vec4 base = texture2D(tDiffuse, uv);
+        color = vec4(
+          texture2D(tDiffuse, uv + shift).r,
+          base.g,
+          texture2D(tDiffuse, uv - shift).b,
+          base.a
+        );
+      #else
+        color = texture2D(tDiffuse, uv);
+      #endif
+
+      #ifdef USE_VIGNETTE
+        vec2 centered = (vUv - 0.5) * uVignetteOffset;
+        float vignette = 1.0 - dot(centered, centered) * uVignetteDarkness * 2.0;
+        color.rgb *= clamp(vignette, 0.0, 1.0);
+      #endif
+
+      #ifdef USE_GRAIN
+        float grain = hash12(vUv * 512.0 + fract(uTime * 7.3)) - 0.5;
+        color.rgb += grain * uGrain * color.a;
+      #endif
+
+      gl_FragColor = color;
+    }
+  `),
+};
+
+// Copies colour and depth into an external target (scene transitions)
+const BlitShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    tDepth: { value: null },
+  },
+  vertexShader: fullscreenVertex,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform sampler2D tDepth;
+
+    varying vec2 vUv;
+
+    void main() {
+      gl_FragColor = texture2D(tDiffuse, vUv);
+      gl_FragDepthEXT = texture2D(tDepth, vUv).x;
+    }
+  `,
+};
+
+// ═══════════════════════════════════════════════════════════
+// PASSES
+// ═══════════════════════════════════════════════════════════
+
+// Full-screen passes draw into the render pass's target, whose depth
+// render(delta, target) hands to the transitions; a quad that tested or
+// wrote depth would flatten it to the quad's own
+function preserveDepth(pass) {
+  pass.material.depthTest = false;
+  pass.material.depthWrite = false;
+  return pass;
+}
+
+// RenderPass that remembers which depth texture the scene landed in
+class DepthRenderPass extends RenderPass {
+  render(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+    super.render(renderer, writeBuffer, readBuffer, deltaTime, maskActive);
+    this.depthTexture = readBuffer.depthTexture;
+  }
+}
+
+class DepthGradingPass extends ShaderPass {
+  constructor(depthSource, camera) {
+    super(DepthGradingShader);
+    preserveDepth(this);
+    this.depthSource = depthSource;
+    this.camera = camera;
+  }
+
+  render(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+    this.uniforms.tDepth.value = this.depthSource.depthTexture;
+    this.uniforms.cameraNear.value = this.camera.near;
+    this.uniforms.cameraFar.value = this.camera.far;
+    super.render(renderer, writeBuffer, readBuffer, deltaTime, maskActive);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// PIPELINE
+// ═══════════════════════════════════════════════════════════
+
+export class PostProcessing {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {THREE.Scene} scene
+   * @param {THREE.Camera} camera
+   * @param {object} options - { effects, tier, width, height, pixelRatio }
+   *   effects: { bloom, underwater, chromatic, grain, grading, vignette }
+   *   — each key holds that effect's parameters; omitted keys are off.
+   */
+  constructor(renderer, scene, camera, options = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.effects = options.effects || {};
+    this.tier = options.tier || 'high';
+    this.width = options.width || window.innerWidth;
+    this.height = options.height || window.innerHeight;
+    this.pixelRatio = options.pixelRatio || renderer.getPixelRatio();
+    this.time = 0;
+
+    this.init();
+  }
+
+  init() {
+    const target = new THREE.WebGLRenderTarget(1, 1, {
+      type: THREE.HalfFloatType,
+      depthBuffer: true,
+    });
+    target.depthTexture = new THREE.DepthTexture(1, 1);
+
+    this.composer = new EffectComposer(this.renderer, target);
+    this.composer.setPixelRatio(this.pixelRatio);
+    this.composer.setSize(this.width, this.height);
+
+    this.renderPass = new DepthRenderPass(this.scene, this.camera);
+    this.composer.addPass(this.renderPass);
+
+    if (this.effects.grading) {
+      this.gradingPass = new DepthGradingPass(this.renderPass, this.camera);
+      this.configureGrading(this.effects.grading);
+      this.composer.addPass(this.gradingPass);
+    }
+
+    if (this.effects.bloom) {
+      const bloom = this.effects.bloom;
+      this.bloomPass = new UnrealBloomPass(
+        new THREE.Vector2(this.width, this.height),
+        bloom.strength ?? 0.8,
+        bloom.radius ?? 0.4,
+        bloom.threshold ?? 0.6
+      );
+      this.composer.addPass(this.bloomPass);
+    }
+
+    this.lensPass = preserveDepth(new ShaderPass(LensShader));
+    this.configureLens();
+    this.composer.addPass(this.lensPass);
+
+    this.outputPass = new OutputPass();
+    this.composer.addPass(this.outputPass);
+
+    this.blitMaterial = new THREE.ShaderMaterial({
+      ...BlitShader,
+      uniforms: THREE.UniformsUtils.clone(BlitShader.uniforms),
+      depthFunc: THREE.AlwaysDepth,
+      depthWrite: true,
+      blending: THREE.NoBlending,
+      extensions: { fragDepth: true },
+    });
+    this.blitQuad = new FullScreenQuad(this.blitMaterial);
+
+    this.setTier(this.tier);
+  }
+
+  configureGrading(grading) {
+    const uniforms = this.gradingPass.uniforms;
+    if (grading.color !== undefined) uniforms.uTint.value.set(grading.color);
+    if (grading.near !== undefined) uniforms.uNear.value = grading.near;
+    if (grading.far !== undefined) uniforms.uFar.value = grading.far;
+    if (grading.strength !== undefined) uniforms.uStrength.value = grading.strength;
+    if (grading.desaturate !== undefined) uniforms.uDesaturate.value = grading.desaturate;
+  }
+
+  configureLens() {
+    const { underwater, chromatic, grain, vignette } = this.effects;
+    const uniforms = this.lensPass.uniforms;
+
+    if (underwater) {
+      uniforms.uWobble.value = underwater.strength ?? 0.003;
+      uniforms.uWobbleSpeed.value = underwater.speed ?? 1.0;
+    }
+    if (chromatic) uniforms.uChromatic.value = chromatic.amount ?? 0.0015;
+    if (grain) uniforms.uGrain.value = grain.amount ?? 0.05;
+    if (vignette) {
+      uniforms.uVignetteOffset.value = vignette.offset ?? 1.0;
+      uniforms.uVignetteDarkness.value = vignette.darkness ?? 0.6;
+    }
+  }
+
+  isActive(effect) {
+    return Boolean(this.effects[effect]) && TIER_EFFECTS[this.tier].includes(effect);
+  }
+
+  /**
+   * Trim or restore the stack for a performance tier.
+   * @param {'low'|'medium'|'high'} tier
+   */
+  setTier(tier) {
+    this.tier = TIER_EFFECTS[tier] ? tier : 'medium';
+
+    if (this.gradingPass) this.gradingPass.enabled = this.isActive('grading');
+
+    if (this.bloomPass) {
+      this.bloomPass.enabled = this.isActive('bloom');
+      this.resizeBloom();
+    }
+
+    // Lens effects are compiled in via defines
+    const defines = {};
+    if (this.isActive('underwater')) defines.USE_UNDERWATER = '';
+    if (this.isActive('chromatic')) defines.USE_CHROMATIC = '';
+    if (this.isActive('grain')) defines.USE_GRAIN = '';
+    if (this.isActive('vignette')) defines.USE_VIGNETTE = '';
+
+    this.lensPass.material.defines = defines;
+    this.lensPass.material.needsUpdate = true;
+    this.lensPass.enabled = Object.keys(defines).length > 0;
+  }
+
+  resizeBloom() {
+    const scale = BLOOM_SCALE[this.tier];
+    this.bloomPass.setSize(
+      Math.round(this.width * this.pixelRatio * scale),
+      Math.round(this.height * this.pixelRatio * scale)
+    );
+  }
+
+  setSize(width, height, pixelRatio = this.pixelRatio) {
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = pixelRatio;
+
+    this.composer.setPixelRatio(pixelRatio);
+    this.composer.setSize(width, height);
+    if (this.bloomPass) this.resizeBloom();
+  }
+
+  // Scene time for animated effects (wobble, grain)
+  setTime(time) {
+    this.time = time;
+    this.lensPass.uniforms.uTime.value = time;
+  }
+
+  /**
+   * Run the stack.
+   * @param {number} delta - Seconds since the last frame
+   * @param {THREE.WebGLRenderTarget|null} target - null draws to the
+   *   canvas; a target receives linear colour and depth (no tone mapping)
+   */
+  render(delta, target = null) {
+    if (target === null) {
+      this.composer.renderToScreen = true;
+      this.composer.render(delta);
+      return;
+    }
+
+    this.outputPass.enabled = false;
+    this.composer.renderToScreen = false;
+    this.composer.render(delta);
+    this.outputPass.enabled = true;
+
+    this.blitMaterial.uniforms.tDiffuse.value = this.composer.readBuffer.texture;
+    this.blitMaterial.uniforms.tDepth.value = this.renderPass.depthTexture;
+    this.renderer.setRenderTarget(target);
+    this.renderer.clear();
+    this.blitQuad.render(this.renderer);
+  }
+
+  dispose() {
+    this.composer.passes.forEach(pass => {
+      if (typeof pass.dispose === 'function') pass.dispose();
+    });
+
+    this.composer.renderTarget1.depthTexture.dispose();
+    this.composer.renderTarget2.depthTexture.dispose();
+    this.composer.dispose();
+
+    this.blitQuad.dispose();
+    this.blitMaterial.dispose();
+  }
+}
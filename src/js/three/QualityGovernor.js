@@ -0,0 +1,123 @@
+/**
+ * Aurora Aqua - Quality Governor
+ * Watches measured frame times and steps the performance tier
+ * up or down at runtime. getPerformanceTier() only provides the
+ * starting point; this decides where a device actually settles.
+ */
+
+export const QUALITY_TIERS = ['low', 'medium', 'high'];
+
+const DEFAULTS = {
+  targetFps: 60,
+  sampleSize: 90,         // frames per measurement window
+  downgradeRatio: 1.3,    // avg frame time above budget * ratio → step down
+  upgradeRatio: 0.75,     // avg frame time below budget * ratio → step up
+  downgradeWindows: 2,    // consecutive slow windows before stepping down
+  upgradeWindows: 6,      // consecutive fast windows before stepping up
+  cooldown: 3,            // seconds to ignore after a change
+  maxFrameTime: 0.25,     // longer frames are stalls (tab switch, GC), not load
+};
+
+export class QualityGovernor {
+  /**
+   * @param {object} options
+   * @param {'low'|'medium'|'high'} options.tier - Starting tier
+   * @param {Function} options.onChange - Called with (tier, previous, stats)
+   */
+  constructor(options = {}) {
+    this.config = { ...DEFAULTS, ...options };
+    this.tier = QUALITY_TIERS.includes(options.tier) ? options.tier : 'medium';
+    this.onChange = options.onChange || null;
+    this.enabled = true;
+
+    this.budget = 1 / this.config.targetFps;
+    this.samples = [];
+    this.slowWindows = 0;
+    this.fastWindows = 0;
+    this.cooldownRemaining = this.config.cooldown;
+    this.lastAverage = this.budget;
+  }
+
+  /**
+   * Feed one frame's duration (seconds, unclamped).
+   */
+  sample(frameTime) {
+    if (!this.enabled) return;
+
+    if (this.cooldownRemaining > 0) {
+      this.cooldownRemaining -= Math.min(frameTime, this.config.maxFrameTime);
+      return;
+    }
+
+    if (frameTime <= 0 || frameTime > this.config.maxFrameTime) return;
+
+    this.samples.push(frameTime);
+    if (this.samples.length < this.config.sampleSize) return;
+
+    this.evaluate();
+    this.samples.length = 0;
+  }
+
+  evaluate() {
+    const { downgradeRatio, upgradeRatio, downgradeWindows, upgradeWindows } = this.config;
+
+    // Trimmed mean - drop the worst tenth so single hitches don't count
+    const sorted = this.samples.slice().sort((a, b) => a - b);
+    const kept = sorted.slice(0, Math.ceil(sorted.length * 0.9));
+    const average = kept.reduce((sum, t) => sum + t, 0) / kept.length;
+    this.lastAverage = average;
+
+    if (average > this.budget * downgradeRatio) {
+      this.slowWindows++;
+      this.fastWindows = 0;
+    } else if (average < this.budget * upgradeRatio) {
+      this.fastWindows++;
+      this.slowWindows = 0;
+    } else {
+      // Inside the hysteresis band - hold steady
+      this.slowWindows = 0;
+      this.fastWindows = 0;
+    }
+
+    if (this.slowWindows >= downgradeWindows) {
+      this.step(-1);
+    } else if (this.fastWindows >= upgradeWindows) {
+      this.step(1);
+    }
+  }
+
+  step(direction) {
+    const index = QUALITY_TIERS.indexOf(this.tier) + direction;
+    this.slowWindows = 0;
+    this.fastWindows = 0;
+
+    if (index < 0 || index >= QUALITY_TIERS.length) return;
+
+    this.setTier(QUALITY_TIERS[index]);
+  }
+
+  setTier(tier) {
+    if (!QUALITY_TIERS.includes(tier) || tier === this.tier) return;
+
+    const previous = this.tier;
+    this.tier = tier;
+    this.samples.length = 0;
+    this.cooldownRemaining = this.config.cooldown;
+
+    if (this.onChange) {
+      this.onChange(tier, previous, { fps: Math.round(1 / this.lastAverage) });
+    }
+  }
+
+  // Discard partial measurements, e.g. after the loop was paused
+  reset() {
+    this.samples.length = 0;
+    this.slowWindows = 0;
+    this.fastWindows = 0;
+    this.cooldownRemaining = this.config.cooldown;
+  }
+
+  getTier() {
+    return this.tier;
+  }
+}
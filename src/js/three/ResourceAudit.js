@@ -0,0 +1,98 @@
+/**
+ * Aurora Aqua - Resource Audit
+ * Dev-time leak check on renderer.info.memory. Each scene snapshots the
+ * geometry/texture counts when it is created; once it is destroyed the
+ * counts should drop back by everything it added.
+ *
+ * Scenes overlap during WebGL transitions (the next scene builds before
+ * the previous one is destroyed), so audits on the same renderer keep a
+ * ledger: a scene's footprint ends where the next live scene's baseline
+ * begins, and every destroy adjusts the baselines of the others.
+ */
+
+const KEYS = ['geometries', 'textures'];
+
+// renderer → audits in creation order
+const liveAudits = new WeakMap();
+
+function snapshot(renderer) {
+  const memory = renderer.info.memory;
+  return { geometries: memory.geometries, textures: memory.textures };
+}
+
+function combine(a, b, sign = 1) {
+  const result = {};
+  KEYS.forEach(key => {
+    result[key] = a[key] + b[key] * sign;
+  });
+  return result;
+}
+
+export class ResourceAudit {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {string} label - Shown in warnings, e.g. the scene namespace
+   */
+  constructor(renderer, label = 'scene') {
+    this.renderer = renderer;
+    this.label = label;
+    this.baseline = snapshot(renderer);
+    this.adjustment = { geometries: 0, textures: 0 };
+    this.isValid = true;
+
+    if (!liveAudits.has(renderer)) liveAudits.set(renderer, []);
+    liveAudits.get(renderer).push(this);
+  }
+
+  getBaseline() {
+    return combine(this.baseline, this.adjustment);
+  }
+
+  // A lost context resets renderer.info; these numbers no longer compare
+  invalidate() {
+    this.isValid = false;
+  }
+
+  /**
+   * Run the scene's disposal and compare the counts.
+   * @param {Function} dispose - Frees everything the scene owns
+   * @param {object} tracked - What the scene registered, for the log
+   * @returns {object|null} Leaked counts per key, or null if clean
+   */
+  finish(dispose, tracked = {}) {
+    const audits = liveAudits.get(this.renderer) || [];
+    const index = audits.indexOf(this);
+
+    const before = snapshot(this.renderer);
+    dispose();
+    const after = snapshot(this.renderer);
+
+    if (index > -1) audits.splice(index, 1);
+
+    // Everything this scene added, up to where a newer live scene began
+    const newer = audits[index] || null;
+    const end = newer ? newer.getBaseline() : before;
+    const footprint = combine(end, this.getBaseline(), -1);
+    const freed = combine(before, after, -1);
+    const leaked = combine(footprint, freed, -1);
+
+    // Older scenes saw this one come and go; newer ones counted it in
+    audits.forEach((audit, i) => {
+      audit.adjustment = combine(audit.adjustment, i < index ? leaked : freed, i < index ? 1 : -1);
+    });
+
+    if (!this.isValid) return null;
+
+    const leaks = KEYS.filter(key => leaked[key] > 0);
+    if (!leaks.length) {
+      console.log(`🧾 ResourceAudit: "${this.label}" released everything`, { freed, tracked });
+      return null;
+    }
+
+    console.warn(
+      `🚰 ResourceAudit: "${this.label}" left ${leaks.map(key => `${leaked[key]} ${key}`).join(', ')} on the GPU after destroy()`,
+      { baseline: this.getBaseline(), before, after, tracked }
+    );
+    return leaked;
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Aurora Aqua - Resource Tracker
+ * Collects the GPU-backed objects a scene creates (geometries, materials,
+ * textures, render targets) so they can be disposed together. Materials
+ * bring their texture slots and sampler uniforms along; objects bring
+ * everything in their subtree. Shared resources (markShared) are left
+ * to their owner.
+ */
+
+// Not userData: clones copy that, and a scene's clone is its own
+const sharedResources = new WeakSet();
+
+/**
+ * Exempt a resource that outlives scenes (e.g. an AssetManager cache
+ * entry) from every tracker. Materials bring their textures along.
+ * @returns The same value
+ */
+export function markShared(resource) {
+  if (!resource || typeof resource.dispose !== 'function') return resource;
+
+  sharedResources.add(resource);
+  if (resource.isMaterial) {
+    Object.keys(resource).forEach(key => {
+      const value = resource[key];
+      if (value && value.isTexture) markShared(value);
+    });
+  }
+  return resource;
+}
+
+export class ResourceTracker {
+  constructor() {
+    this.resources = new Set();
+  }
+
+  /**
+   * Register a disposable (or an array / Object3D subtree of them).
+   * @returns The same value, so creation can be wrapped inline
+   */
+  track(resource) {
+    if (!resource) return resource;
+
+    if (Array.isArray(resource)) {
+      resource.forEach(item => this.track(item));
+      return resource;
+    }
+
+    if (resource.isObject3D) {
+      resource.traverse(child => {
+        // Sprites share one internal geometry across the whole app
+        if (child.geometry && !child.isSprite) this.track(child.geometry);
+        if (child.material) this.track(child.material);
+      });
+      return resource;
+    }
+
+    if (this.resources.has(resource) || sharedResources.has(resource)) return resource;
+
+    if (resource.isMaterial) {
+      this.resources.add(resource);
+      this.trackMaterialTextures(resource);
+    } else if (typeof resource.dispose === 'function') {
+      this.resources.add(resource);
+    }
+
+    return resource;
+  }
+
+  // Every texture slot (map, envMap, ...) plus textures held in uniforms
+  trackMaterialTextures(material) {
+    Object.keys(material).forEach(key => {
+      const value = material[key];
+      if (value && value.isTexture) this.track(value);
+    });
+
+    if (!material.uniforms) return;
+
+    Object.keys(material.uniforms).forEach(name => {
+      const value = material.uniforms[name] && material.uniforms[name].value;
+      if (value && value.isTexture) {
+        this.track(value);
+      } else if (Array.isArray(value)) {
+        value.forEach(item => {
+          if (item && item.isTexture) this.track(item);
+        });
+      }
+    });
+  }
+
+  untrack(resource) {
+    this.resources.delete(resource);
+  }
+
+  getCounts() {
+    const counts = { geometries: 0, materials: 0, textures: 0, renderTargets: 0, other: 0 };
+
+    this.resources.forEach(resource => {
+      if (resource.isBufferGeometry) counts.geometries++;
+      else if (resource.isMaterial) counts.materials++;
+      else if (resource.isTexture) counts.textures++;
+      else if (resource.isWebGLRenderTarget) counts.renderTargets++;
+      else counts.other++;
+    });
+
+    return counts;
+  }
+
+  dispose() {
+    this.resources.forEach(resource => {
+      try {
+        resource.dispose();
+      } catch (e) {
+        console.warn('Resource disposal error:', e);
+      }
+    });
+    this.resources.clear();
+  }
+}
@@ -0,0 +1,328 @@
+/**
+ * Aurora Aqua - Ripple Simulation
+ * GPU heightfield for interactive water. Two float render targets
+ * ping-pong a damped wave equation at a fixed 60Hz step; drops from the
+ * pointer, touches, clicks or scene events (splashes) push the surface
+ * down and the rings spread, reflect off each other and fade.
+ *
+ * Surfaces read it through the "ripples" shader chunk: spread
+ * `simulation.uniforms` into the material (the objects are shared, so the
+ * material follows the ping-pong) and pass the mesh to bindPointer().
+ */
+
+import * as THREE from 'three';
+import { FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+import { getPerformanceTier } from '../utils/device.js';
+import { isOnControl } from '../utils/pointer.js';
+
+// Heightfield texels per side
+const RESOLUTION = { low: 128, medium: 192, high: 256 };
+// Drops applied per simulation step; extra drops wait for the next one
+const MAX_DROPS = 8;
+const STEP = 1 / 60;
+const MAX_STEPS = 3;
+
+// Simulation-space drop strengths
+const MOVE_STRENGTH = 0.012;
+const MOVE_MAX = 0.05;
+const CLICK_STRENGTH = 0.25;
+
+const _ndc = new THREE.Vector2();
+const _point = new THREE.Vector3();
+const _plane = new THREE.Plane();
+const _normal = new THREE.Vector3();
+const _normalMatrix = new THREE.Matrix3();
+
+const vertexShader = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+// r: height, g: vertical velocity
+const fragmentShader = `
+  #define PI 3.141592653589793
+
+  uniform sampler2D uState;
+  uniform vec2 uTexel;
+  uniform float uDamping;
+  uniform vec4 uDrops[${MAX_DROPS}];
+  uniform int uDropCount;
+
+  varying vec2 vUv;
+
+  void main() {
+    vec4 state = texture2D(uState, vUv);
+
+    float average = (
+      texture2D(uState, vUv - vec2(uTexel.x, 0.0)).r +
+      texture2D(uState, vUv + vec2(uTexel.x, 0.0)).r +
+      texture2D(uState, vUv - vec2(0.0, uTexel.y)).r +
+      texture2D(uState, vUv + vec2(0.0, uTexel.y)).r
+    ) * 0.25;
+
+    // Accelerate towards the neighbours' mean, lose a little energy
+    state.g += (average - state.r) * 2.0;
+    state.g *= uDamping;
+    state.r += state.g;
+    state.r *= uDamping;
+
+    // Drops: xy centre (uv), z radius (uv), w strength
+    for (int i = 0; i < ${MAX_DROPS}; i++) {
+      if (i >= uDropCount) break;
+      vec4 drop = uDrops[i];
+      float d = max(0.0, 1.0 - length(vUv - drop.xy) / drop.z);
+      state.r -= (0.5 - cos(d * PI) * 0.5) * drop.w;
+    }
+
+    gl_FragColor = state;
+  }
+`;
+
+export class RippleSimulation {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {object} options
+   * @param {number} options.area - Local units of surface covered,
+   *   centred on the surface's origin
+   * @param {number} options.height - Local units per simulation unit
+   * @param {number} options.damping - Energy kept per step (0..1)
+   * @param {string} options.tier - Quality tier for the resolution
+   */
+  constructor(renderer, options = {}) {
+    this.renderer = renderer;
+    this.area = options.area || 200;
+    this.resolution = RESOLUTION[options.tier || getPerformanceTier()] || RESOLUTION.medium;
+    this.accumulator = 0;
+    this.drops = [];
+    this.unsubscribers = [];
+    this.surface = null;
+    this.raycaster = new THREE.Raycaster();
+
+    const targetOptions = {
+      type: THREE.HalfFloatType,
+      format: THREE.RGBAFormat,
+      minFilter: THREE.LinearFilter,
+      magFilter: THREE.LinearFilter,
+      wrapS: THREE.ClampToEdgeWrapping,
+      wrapT: THREE.ClampToEdgeWrapping,
+      depthBuffer: false,
+    };
+    this.targets = [
+      new THREE.WebGLRenderTarget(this.resolution, this.resolution, targetOptions),
+      new THREE.WebGLRenderTarget(this.resolution, this.resolution, targetOptions),
+    ];
+    this.current = 0;
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        uState: { value: null },
+        uTexel: { value: new THREE.Vector2(1 / this.resolution, 1 / this.resolution) },
+        uDamping: { value: options.damping ?? 0.985 },
+        uDrops: { value: Array.from({ length: MAX_DROPS }, () => new THREE.Vector4()) },
+        uDropCount: { value: 0 },
+      },
+      vertexShader,
+      fragmentShader,
+      depthTest: false,
+      depthWrite: false,
+    });
+    this.quad = new FullScreenQuad(this.material);
+
+    // Shared with every surface material that reads the heightfield
+    this.uniforms = {
+      uRippleMap: { value: this.targets[0].texture },
+      uRippleArea: { value: this.area },
+      uRippleTexel: { value: 1 / this.resolution },
+      uRippleScale: { value: options.height ?? 2 },
+    };
+
+    this.reset();
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // SIMULATION
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Queue a disturbance.
+   * @param {number} x - Local surface x
+   * @param {number} y - Local surface y
+   * @param {number} radius - Local units
+   * @param {number} strength - Depth of the dent; ~0.25 is a splash
+   */
+  disturb(x, y, radius = 4, strength = 0.1) {
+    const u = x / this.area + 0.5;
+    const v = y / this.area + 0.5;
+    if (u < 0 || u > 1 || v < 0 || v > 1) return;
+
+    this.drops.push(u, v, radius / this.area, strength);
+  }
+
+  // A heavier, wider disturbance for scene events
+  splash(x = 0, y = 0, radius = 20, strength = 0.6) {
+    this.disturb(x, y, radius, strength);
+  }
+
+  update(delta) {
+    this.accumulator = Math.min(this.accumulator + delta, STEP * MAX_STEPS);
+    if (this.accumulator < STEP) return;
+
+    if (this.surface && this.surface.pending) this.resolvePointer();
+
+    const renderer = this.renderer;
+    const previousTarget = renderer.getRenderTarget();
+
+    while (this.accumulator >= STEP) {
+      this.accumulator -= STEP;
+      this.step();
+    }
+
+    renderer.setRenderTarget(previousTarget);
+    this.uniforms.uRippleMap.value = this.targets[this.current].texture;
+  }
+
+  step() {
+    const uniforms = this.material.uniforms;
+    const count = Math.min(this.drops.length / 4, MAX_DROPS);
+
+    for (let i = 0; i < count; i++) {
+      uniforms.uDrops.value[i].fromArray(this.drops, i * 4);
+    }
+    this.drops.splice(0, count * 4);
+    uniforms.uDropCount.value = count;
+
+    const source = this.targets[this.current];
+    const destination = this.targets[1 - this.current];
+
+    uniforms.uState.value = source.texture;
+    this.renderer.setRenderTarget(destination);
+    this.quad.render(this.renderer);
+    this.current = 1 - this.current;
+  }
+
+  // Flatten the water (also the state after a context loss)
+  reset() {
+    const renderer = this.renderer;
+    const previousTarget = renderer.getRenderTarget();
+    const clearColor = renderer.getClearColor(new THREE.Color());
+    const clearAlpha = renderer.getClearAlpha();
+
+    renderer.setClearColor(0x000000, 0);
+    this.targets.forEach(target => {
+      renderer.setRenderTarget(target);
+      renderer.clear(true, false, false);
+    });
+
+    renderer.setClearColor(clearColor, clearAlpha);
+    renderer.setRenderTarget(previousTarget);
+    this.drops = [];
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // POINTER
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Let the pointer and touches disturb a surface: moves leave a wake,
+   * clicks and taps drop a stone (except on page controls).
+   * @param {THREE.Mesh} mesh - The surface (flat in its local x/y)
+   * @param {THREE.Camera} camera
+   * @param {object} options
+   * @param {InputService} options.input
+   * @param {HTMLElement} options.element - Box the camera renders into
+   * @param {number} options.offset - Local z the displaced surface rests
+   *   at, if not its plane
+   */
+  bindPointer(mesh, camera, options = {}) {
+    const input = options.input;
+    if (!input) return;
+
+    this.surface = {
+      mesh,
+      camera,
+      element: options.element || null,
+      offset: options.offset || 0,
+      pending: null,
+    };
+
+    // Moves are resolved once per step, against the current camera
+    this.unsubscribers.push(input.onPointerMove((x, y, pointer) => {
+      const velocity = input.getVelocity();
+      const speed = Math.hypot(velocity.x, velocity.y);
+      this.surface.pending = {
+        clientX: pointer.clientX,
+        clientY: pointer.clientY,
+        strength: Math.min(speed * MOVE_STRENGTH, MOVE_MAX),
+      };
+    }));
+
+    this.unsubscribers.push(input.onGesture((gesture) => {
+      if (gesture.type !== 'tap' || isOnControl(gesture.target)) return;
+      this.dropAt(gesture.clientX, gesture.clientY, 6, CLICK_STRENGTH);
+    }));
+
+    // Touches arrive as taps above
+    this.clickHandler = (e) => {
+      if (e.pointerType === 'touch' || isOnControl(e.target)) return;
+      this.dropAt(e.clientX, e.clientY, 6, CLICK_STRENGTH);
+    };
+    window.addEventListener('pointerdown', this.clickHandler, { passive: true });
+  }
+
+  // Follow a surface whose displacement moves where it rests
+  setOffset(offset) {
+    if (this.surface) this.surface.offset = offset;
+  }
+
+  resolvePointer() {
+    const pending = this.surface.pending;
+    this.surface.pending = null;
+    if (pending.strength > 0) this.dropAt(pending.clientX, pending.clientY, 3, pending.strength);
+  }
+
+  // Client coordinates → where the ray meets the surface plane
+  dropAt(clientX, clientY, radius, strength) {
+    const { mesh, camera, element, offset } = this.surface;
+    const rect = element
+      ? element.getBoundingClientRect()
+      : { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+
+    _ndc.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    if (Math.abs(_ndc.x) > 1 || Math.abs(_ndc.y) > 1) return;
+
+    // The displaced surface stays close to its flat plane, which is far
+    // cheaper to hit than the mesh
+    mesh.updateWorldMatrix(true, false);
+    _normalMatrix.getNormalMatrix(mesh.matrixWorld);
+    _normal.set(0, 0, 1).applyMatrix3(_normalMatrix).normalize();
+    _point.set(0, 0, offset).applyMatrix4(mesh.matrixWorld);
+    _plane.setFromNormalAndCoplanarPoint(_normal, _point);
+
+    this.raycaster.setFromCamera(_ndc, camera);
+    if (!this.raycaster.ray.intersectPlane(_plane, _point)) return;
+
+    mesh.worldToLocal(_point);
+    this.disturb(_point.x, _point.y, radius, strength);
+  }
+
+  getTexture() {
+    return this.targets[this.current].texture;
+  }
+
+  dispose() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    if (this.clickHandler) window.removeEventListener('pointerdown', this.clickHandler);
+
+    this.targets.forEach(target => target.dispose());
+    this.material.dispose();
+    this.quad.dispose();
+  }
+}
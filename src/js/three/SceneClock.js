@@ -0,0 +1,73 @@
+/**
+ * Aurora Aqua - Scene Clock
+ * Time source for SceneManager. Realtime by default; switch to manual
+ * to drive frames with step()/seek() for debugging and captures.
+ * Stopping never resets elapsed time, so paused scenes resume in place.
+ */
+
+export class SceneClock {
+  /**
+   * @param {object} options
+   * @param {Function} options.now - Time source in seconds (injectable)
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => performance.now() / 1000);
+    this.elapsed = 0;
+    this.running = false;
+    this.manual = false;
+    this.lastTime = 0;
+    this.pendingDelta = 0;
+  }
+
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.lastTime = this.now();
+  }
+
+  stop() {
+    this.running = false;
+  }
+
+  /**
+   * Advance one frame.
+   * @returns {number} Seconds since the previous tick (unclamped)
+   */
+  tick() {
+    let delta;
+
+    if (this.manual) {
+      delta = this.pendingDelta;
+      this.pendingDelta = 0;
+    } else {
+      const time = this.now();
+      delta = this.running ? time - this.lastTime : 0;
+      this.lastTime = time;
+    }
+
+    this.elapsed += delta;
+    return delta;
+  }
+
+  setManual(manual) {
+    this.manual = manual;
+    this.pendingDelta = 0;
+    this.lastTime = this.now();
+  }
+
+  // Queue time for the next manual tick
+  step(delta) {
+    this.pendingDelta += delta;
+  }
+
+  // Jump to an exact timestamp; the next tick reports no delta
+  seek(time) {
+    this.elapsed = Math.max(0, time);
+    this.pendingDelta = 0;
+  }
+
+  getElapsedTime() {
+    return this.elapsed;
+  }
+}
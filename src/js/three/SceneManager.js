@@ -5,25 +5,71 @@
  */
 
 import * as THREE from 'three';
+import { PostProcessing } from './PostProcessing.js';
+import { QualityGovernor } from './QualityGovernor.js';
+import { SceneClock } from './SceneClock.js';
+import { EnvironmentMap } from './EnvironmentMap.js';
+import { FrameCapture } from './FrameCapture.js';
+import { ResourceTracker } from './ResourceTracker.js';
+import { ResourceAudit } from './ResourceAudit.js';
+import { InteractionLayer } from './InteractionLayer.js';
 import { isMobile, getDevicePixelRatio, getPerformanceTier } from '../utils/device.js';
+import { getElementSize, observeSize } from '../utils/viewport.js';
+
+// Upper bound on pixel ratio for each quality tier
+const PIXEL_RATIO_CAPS = { low: 1, medium: 1.5, high: 2 };
 
 export class SceneManager {
-  constructor(container) {
+  constructor(container, options = {}) {
     if (!container) {
       console.error('SceneManager: No container provided!');
       return;
     }
     
     this.container = container;
-    this.width = window.innerWidth;
-    this.height = window.innerHeight;
+    this.sharedRenderer = options.sharedRenderer || null;
+    this.rendererSettings = options.rendererSettings || {};
+    this.cameraOptions = options.camera || {};
+    this.fogOptions = options.fog;
+    this.effectOptions = options.effects || null;
+    this.environmentOptions = options.environment || null;
+    this.environment = null;
+    this.postProcessing = null;
+    // Sized to the container, which need not fill the window
+    const size = getElementSize(container);
+    this.width = size.width;
+    this.height = size.height;
+    this.unobserveSize = null;
     this.animationId = null;
     this.isRunning = false;
     this.isDisposed = false;
-    this.clock = new THREE.Clock();
+    // Injectable time source; pauses never reset its elapsed time
+    this.clock = options.clock || new SceneClock();
+    this.isManual = false;
     this.objects = [];
     this.updateCallbacks = [];
-    this.performanceTier = getPerformanceTier();
+    this.resizeCallbacks = [];
+    this.qualityCallbacks = [];
+    this.contextCallbacks = [];
+    this.isContextLost = false;
+    this.resumeAfterRestore = false;
+    this.performanceTier = options.performanceTier || getPerformanceTier();
+    this.adaptiveQuality = options.adaptiveQuality !== false;
+    this.qualityGovernor = null;
+    // Fixed { width, height, pixelRatio } while capturing, else null
+    this.viewportOverride = null;
+    // Everything disposed with the scene; audited against renderer.info in dev
+    this.resources = new ResourceTracker();
+    this.label = options.label || 'scene';
+    this.auditResources = options.auditResources ?? import.meta.env.DEV;
+    this.audit = null;
+    // Hover/click/focus on scene objects; created on first makeInteractive()
+    this.input = options.input || null;
+    this.interaction = null;
+    // Drawn over the scene each frame, e.g. card viewports ({ render(target) })
+    this.overlays = [];
+    this.frameDelta = 0;
+    this.drawFrame = (target) => this.draw(target);
     
     console.log('🎬 SceneManager: Initializing...', { performanceTier: this.performanceTier });
     
@@ -35,6 +81,12 @@ export class SceneManager {
       this.createScene();
       this.createCamera();
       this.createRenderer();
+      if (this.auditResources) {
+        this.audit = new ResourceAudit(this.renderer, this.label);
+      }
+      this.createEnvironment();
+      this.createPostProcessing();
+      this.createQualityGovernor();
       this.setupResizeHandler();
       console.log('✅ SceneManager: Initialized successfully');
     } catch (error) {
@@ -48,24 +100,42 @@ export class SceneManager {
     // Transparent background to show CSS gradient beneath
     this.scene.background = null;
     
+    // Scenes may disable fog (null) or supply their own colour/density
+    if (this.fogOptions === null) {
+      this.scene.fog = null;
+      return;
+    }
+    
     // Underwater fog for depth effect
-    const fogDensity = isMobile() ? 0.002 : 0.0025;
-    this.scene.fog = new THREE.FogExp2(0x041e42, fogDensity);
+    const fog = this.fogOptions || {};
+    const fogDensity = fog.density ?? (isMobile() ? 0.002 : 0.0025);
+    this.scene.fog = new THREE.FogExp2(fog.color ?? 0x041e42, fogDensity);
   }
 
   createCamera() {
-    const fov = isMobile() ? 70 : 60;
+    const options = this.cameraOptions;
+    const fov = options.fov || (isMobile() ? 70 : 60);
     this.camera = new THREE.PerspectiveCamera(
       fov,
       this.width / this.height,
-      0.1,
-      1000
+      options.near || 0.1,
+      options.far || 1000
     );
     this.camera.position.set(0, 0, 50);
     this.camera.lookAt(0, 0, 0);
   }
 
   createRenderer() {
+    // Borrow the app-wide renderer when one is provided
+    if (this.sharedRenderer) {
+      this.renderer = this.sharedRenderer.acquire(this, {
+        toneMappingExposure: 1.2,
+        ...this.rendererSettings,
+        pixelRatio: this.getPixelRatio(),
+      });
+      return;
+    }
+
     const mobile = isMobile();
     
     this.renderer = new THREE.WebGLRenderer({
@@ -77,12 +147,12 @@ export class SceneManager {
     });
 
     this.renderer.setSize(this.width, this.height);
-    this.renderer.setPixelRatio(getDevicePixelRatio());
+    this.renderer.setPixelRatio(this.getPixelRatio());
     
     // Color management
     this.renderer.outputColorSpace = THREE.SRGBColorSpace;
     this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-    this.renderer.toneMappingExposure = 1.2;
+    this.renderer.toneMappingExposure = this.rendererSettings.toneMappingExposure ?? 1.2;
     
     // Style canvas
     this.renderer.domElement.style.position = 'absolute';
@@ -92,24 +162,234 @@ export class SceneManager {
     this.renderer.domElement.style.height = '100%';
     
     this.container.appendChild(this.renderer.domElement);
+    
+    // The shared renderer forwards these itself
+    this.contextLostHandler = () => this.handleContextLost();
+    this.contextRestoredHandler = () => this.handleContextRestored();
+    this.renderer.domElement.addEventListener('webglcontextlost', this.contextLostHandler);
+    this.renderer.domElement.addEventListener('webglcontextrestored', this.contextRestoredHandler);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // CONTEXT LOSS
+  // ═══════════════════════════════════════════════════════════
+
+  handleContextLost() {
+    if (this.isContextLost) return;
+    
+    const wasRunning = this.isRunning;
+    this.stop();
+    this.isContextLost = true;
+    if (this.audit) this.audit.invalidate();
+    this.resumeAfterRestore = wasRunning;
+  }
+
+  /**
+   * three.js drops its GPU caches with the old context, so geometries,
+   * textures and shader programs re-upload on the next draw. Scenes
+   * rebuild anything else (render targets, generated maps) in their
+   * onContextRestored callbacks, then the loop resumes where it was.
+   */
+  handleContextRestored() {
+    if (!this.isContextLost || this.isDisposed) return;
+    
+    this.isContextLost = false;
+    
+    // PMREM output lived only on the GPU
+    if (this.environment) {
+      this.scene.environment = this.environment.generate();
+    }
+    
+    for (let i = 0; i < this.contextCallbacks.length; i++) {
+      try {
+        this.contextCallbacks[i]();
+      } catch (e) {
+        console.warn('Context restore callback error:', e);
+      }
+    }
+    
+    if (this.resumeAfterRestore) this.start();
+    this.resumeAfterRestore = false;
+  }
+
+  /**
+   * Image-based lighting for physical materials. Scenes pass
+   * `environment: { preset, intensity, texture }` in their options.
+   */
+  createEnvironment() {
+    if (!this.environmentOptions) return;
+
+    this.environment = new EnvironmentMap(this.renderer, this.environmentOptions);
+
+    // Generated on restore if the context is already gone
+    const isContextLost = this.sharedRenderer ? this.sharedRenderer.isContextLost : false;
+    if (!isContextLost) {
+      this.scene.environment = this.environment.generate();
+    }
+  }
+
+  /**
+   * Optional effect stack (bloom, underwater wobble, grading...).
+   * Scenes pass `effects` in their options; the tier trims the stack.
+   */
+  createPostProcessing() {
+    if (!this.effectOptions) return;
+
+    this.postProcessing = new PostProcessing(this.renderer, this.scene, this.camera, {
+      effects: this.effectOptions,
+      tier: this.performanceTier,
+      width: this.width,
+      height: this.height,
+      pixelRatio: this.getPixelRatio(),
+    });
+  }
+
+  // Scene-requested pixel ratio, capped by the current quality tier
+  getPixelRatio() {
+    if (this.viewportOverride) return this.viewportOverride.pixelRatio;
+
+    const requested = this.rendererSettings.pixelRatio || getDevicePixelRatio();
+    return Math.min(requested, PIXEL_RATIO_CAPS[this.performanceTier] || 2);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // ADAPTIVE QUALITY
+  // ═══════════════════════════════════════════════════════════
+
+  createQualityGovernor() {
+    if (!this.adaptiveQuality) return;
+
+    this.qualityGovernor = new QualityGovernor({
+      tier: this.performanceTier,
+      onChange: (tier, previous, stats) => this.setQualityTier(tier, stats),
+    });
+  }
+
+  /**
+   * Apply a quality tier: pixel ratio, post effects, then registered
+   * objects (setQuality) and scene callbacks. Emits `qualityChange`.
+   */
+  setQualityTier(tier, stats = {}) {
+    const previous = this.performanceTier;
+    if (tier === previous || this.isDisposed) return;
+
+    this.performanceTier = tier;
+    if (this.qualityGovernor) this.qualityGovernor.setTier(tier);
+
+    const pixelRatio = this.getPixelRatio();
+
+    if (this.sharedRenderer) {
+      this.sharedRenderer.updateSettings(this, { pixelRatio });
+    } else {
+      this.renderer.setPixelRatio(pixelRatio);
+    }
+
+    if (this.postProcessing) {
+      this.postProcessing.setTier(tier);
+      this.postProcessing.setSize(this.width, this.height, pixelRatio);
+    }
+
+    for (let i = 0; i < this.objects.length; i++) {
+      const object = this.objects[i];
+      if (object && typeof object.setQuality === 'function') {
+        object.setQuality(tier);
+      }
+    }
+
+    for (let i = 0; i < this.qualityCallbacks.length; i++) {
+      this.qualityCallbacks[i](tier, previous);
+    }
+
+    console.log(`📉 SceneManager: Quality ${previous} → ${tier}`, stats);
+
+    window.dispatchEvent(new CustomEvent('qualityChange', {
+      detail: { tier, previous, fps: stats.fps }
+    }));
   }
 
   setupResizeHandler() {
-    this.resizeHandler = this.handleResize.bind(this);
-    window.addEventListener('resize', this.resizeHandler, { passive: true });
+    this.unobserveSize = observeSize(this.container, () => this.handleResize());
   }
 
   handleResize() {
     if (this.isDisposed) return;
     
-    this.width = window.innerWidth;
-    this.height = window.innerHeight;
+    const override = this.viewportOverride;
+    const size = override || getElementSize(this.container);
+    this.width = size.width;
+    this.height = size.height;
 
     this.camera.aspect = this.width / this.height;
     this.camera.updateProjectionMatrix();
 
-    this.renderer.setSize(this.width, this.height);
-    this.renderer.setPixelRatio(getDevicePixelRatio());
+    // The shared renderer sizes itself (unless a capture pins its size)
+    if (!this.sharedRenderer) {
+      // CSS size stays 100% so a capture never reflows the page
+      this.renderer.setSize(this.width, this.height, !override);
+      this.renderer.setPixelRatio(this.getPixelRatio());
+    }
+
+    if (this.postProcessing) {
+      this.postProcessing.setSize(this.width, this.height, this.getPixelRatio());
+    }
+
+    for (let i = 0; i < this.resizeCallbacks.length; i++) {
+      this.resizeCallbacks[i](this.width, this.height);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // CAPTURE
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Render at a fixed size regardless of the container, or pass null to
+   * follow the container again.
+   * @param {{width: number, height: number, pixelRatio: number}|null} viewport
+   */
+  setViewportOverride(viewport) {
+    this.viewportOverride = viewport;
+
+    if (this.sharedRenderer) {
+      if (viewport) {
+        this.sharedRenderer.lockSize(viewport.width, viewport.height);
+      } else {
+        this.sharedRenderer.unlockSize();
+      }
+      this.sharedRenderer.updateSettings(this, { pixelRatio: this.getPixelRatio() });
+    }
+
+    this.handleResize();
+  }
+
+  /**
+   * Export frames on the manual clock - see FrameCapture for options.
+   * Leaves the manager in manual time; the caller resumes playback.
+   * @returns {Promise<object>} Capture result (PNG blobs or a WebM blob)
+   */
+  capture(options = {}) {
+    if (this.isDisposed || this.isContextLost) {
+      return Promise.reject(new Error('SceneManager: nothing to capture'));
+    }
+
+    return new FrameCapture(this, options).run();
+  }
+
+  /**
+   * Change renderer state (e.g. exposure) for this scene only.
+   * With a shared renderer the values are stored per owner.
+   */
+  setRendererSettings(settings) {
+    Object.assign(this.rendererSettings, settings);
+
+    if (this.sharedRenderer) {
+      this.sharedRenderer.updateSettings(this, settings);
+      return;
+    }
+
+    if (settings.toneMappingExposure !== undefined) {
+      this.renderer.toneMappingExposure = settings.toneMappingExposure;
+    }
   }
 
   addObject(object) {
@@ -134,6 +414,22 @@ export class SceneManager {
     }
   }
 
+  /**
+   * Draw something over the scene every frame, in the same target.
+   * @param {object} overlay - { render(target) }, e.g. a MultiViewRenderer
+   * @returns {Function} Remove the overlay
+   */
+  addOverlay(overlay) {
+    this.overlays.push(overlay);
+
+    return () => {
+      const index = this.overlays.indexOf(overlay);
+      if (index > -1) {
+        this.overlays.splice(index, 1);
+      }
+    };
+  }
+
   onUpdate(callback) {
     if (typeof callback !== 'function') return () => {};
     
@@ -147,18 +443,66 @@ export class SceneManager {
     };
   }
 
+  onResize(callback) {
+    if (typeof callback !== 'function') return () => {};
+    
+    this.resizeCallbacks.push(callback);
+    
+    return () => {
+      const index = this.resizeCallbacks.indexOf(callback);
+      if (index > -1) {
+        this.resizeCallbacks.splice(index, 1);
+      }
+    };
+  }
+
+  onQualityChange(callback) {
+    if (typeof callback !== 'function') return () => {};
+    
+    this.qualityCallbacks.push(callback);
+    
+    return () => {
+      const index = this.qualityCallbacks.indexOf(callback);
+      if (index > -1) {
+        this.qualityCallbacks.splice(index, 1);
+      }
+    };
+  }
+
+  onContextRestored(callback) {
+    if (typeof callback !== 'function') return () => {};
+    
+    this.contextCallbacks.push(callback);
+    
+    return () => {
+      const index = this.contextCallbacks.indexOf(callback);
+      if (index > -1) {
+        this.contextCallbacks.splice(index, 1);
+      }
+    };
+  }
+
   start() {
-    if (this.isRunning || this.isDisposed) return;
+    if (this.isRunning || this.isDisposed || this.isManual) return;
+    
+    // Paused while the context is gone; picked up again on restore
+    if (this.isContextLost) {
+      this.resumeAfterRestore = true;
+      return;
+    }
     
     console.log('▶️ SceneManager: Starting render loop');
     this.isRunning = true;
     this.clock.start();
+    if (this.qualityGovernor) this.qualityGovernor.reset();
     this.animate();
   }
 
   stop() {
+    this.resumeAfterRestore = false;
     console.log('⏸️ SceneManager: Stopping render loop');
     this.isRunning = false;
+    this.clock.stop();
     
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
@@ -171,7 +515,52 @@ export class SceneManager {
 
     this.animationId = requestAnimationFrame(this.animate.bind(this));
 
-    const delta = Math.min(this.clock.getDelta(), 0.1);
+    const frameTime = this.clock.tick();
+    if (this.qualityGovernor) this.qualityGovernor.sample(frameTime);
+
+    this.renderFrame(frameTime);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // FRAME STEPPING
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Take time away from requestAnimationFrame: in manual mode frames
+   * are produced only by step() and seek(), so output is reproducible.
+   */
+  setManualTime(manual) {
+    if (manual === this.isManual) return;
+    
+    this.isManual = manual;
+    if (manual) this.stop();
+    this.clock.setManual(manual);
+  }
+
+  // Advance exactly `delta` seconds and draw one frame
+  step(delta = 1 / 60) {
+    if (this.isDisposed) return;
+    
+    this.setManualTime(true);
+    this.clock.step(delta);
+    this.renderFrame(this.clock.tick());
+  }
+
+  // Jump to an exact scene time and draw it
+  seek(time) {
+    if (this.isDisposed) return;
+    
+    this.setManualTime(true);
+    this.clock.seek(time);
+    this.renderFrame(this.clock.tick());
+  }
+
+  getElapsedTime() {
+    return this.clock.getElapsedTime();
+  }
+
+  renderFrame(frameTime) {
+    const delta = Math.min(frameTime, 0.1);
     const elapsed = this.clock.getElapsedTime();
 
     // Update objects
@@ -195,7 +584,38 @@ export class SceneManager {
       }
     }
 
-    this.renderer.render(this.scene, this.camera);
+    // Hover against this frame's camera and object positions
+    if (this.interaction) this.interaction.update();
+
+    if (this.postProcessing) {
+      this.frameDelta = delta;
+      this.postProcessing.setTime(elapsed);
+    }
+
+    // A plain scene needs no custom draw
+    const draw = this.postProcessing || this.overlays.length ? this.drawFrame : null;
+
+    if (this.sharedRenderer) {
+      this.sharedRenderer.render(this, this.scene, this.camera, draw);
+    } else if (draw) {
+      draw(null);
+    } else {
+      this.renderer.render(this.scene, this.camera);
+    }
+  }
+
+  // Scene (through the effect stack if there is one), then overlays
+  draw(target) {
+    if (this.postProcessing) {
+      this.postProcessing.render(this.frameDelta, target);
+    } else {
+      this.renderer.setRenderTarget(target);
+      this.renderer.render(this.scene, this.camera);
+    }
+
+    for (let i = 0; i < this.overlays.length; i++) {
+      this.overlays[i].render(target);
+    }
   }
 
   dispose() {
@@ -205,36 +625,59 @@ export class SceneManager {
     this.isDisposed = true;
     
     this.stop();
-    window.removeEventListener('resize', this.resizeHandler);
+    if (this.unobserveSize) {
+      this.unobserveSize();
+      this.unobserveSize = null;
+    }
 
-    // Dispose registered objects
-    for (let i = 0; i < this.objects.length; i++) {
-      const object = this.objects[i];
-      if (object && typeof object.dispose === 'function') {
-        try {
-          object.dispose();
-        } catch (e) {
-          console.warn('Object disposal error:', e);
-        }
-      }
+    if (this.interaction) {
+      this.interaction.dispose();
+      this.interaction = null;
     }
 
-    // Traverse scene
-    this.scene.traverse((child) => {
-      if (child instanceof THREE.Mesh) {
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(m => this.disposeMaterial(m));
-          } else {
-            this.disposeMaterial(child.material);
+    const release = () => {
+      // Dispose registered objects
+      for (let i = 0; i < this.objects.length; i++) {
+        const object = this.objects[i];
+        if (object && typeof object.dispose === 'function') {
+          try {
+            object.dispose();
+          } catch (e) {
+            console.warn('Object disposal error:', e);
           }
         }
       }
-    });
 
-    // Dispose renderer
-    if (this.renderer) {
+      this.resources.dispose();
+
+      if (this.postProcessing) {
+        this.postProcessing.dispose();
+        this.postProcessing = null;
+      }
+
+      if (this.environment) {
+        this.scene.environment = null;
+        this.environment.dispose();
+        this.environment = null;
+      }
+    };
+
+    // Whatever is still in the graph joins the tracked resources
+    this.resources.track(this.scene);
+
+    if (this.audit) {
+      this.audit.finish(release, this.resources.getCounts());
+      this.audit = null;
+    } else {
+      release();
+    }
+
+    // Release or dispose renderer
+    if (this.sharedRenderer) {
+      this.sharedRenderer.release(this);
+    } else if (this.renderer) {
+      this.renderer.domElement.removeEventListener('webglcontextlost', this.contextLostHandler);
+      this.renderer.domElement.removeEventListener('webglcontextrestored', this.contextRestoredHandler);
       this.renderer.dispose();
       this.renderer.forceContextLoss();
       
@@ -244,19 +687,44 @@ export class SceneManager {
     }
 
     this.objects = [];
+    this.overlays = [];
     this.updateCallbacks = [];
+    this.resizeCallbacks = [];
+    this.qualityCallbacks = [];
+    this.contextCallbacks = [];
     
     console.log('✅ SceneManager: Disposed successfully');
   }
 
-  disposeMaterial(material) {
-    if (!material) return;
-    
-    ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'emissiveMap', 'envMap'].forEach(prop => {
-      if (material[prop]) material[prop].dispose();
-    });
-    
-    material.dispose();
+  /**
+   * Register a geometry, material, texture or render target (or a whole
+   * object subtree) for disposal with the scene.
+   * @returns The resource, so creation can be wrapped inline
+   */
+  track(resource) {
+    return this.resources.track(resource);
+  }
+
+  /**
+   * Give an object hover/click/focus events and a keyboard proxy
+   * (see InteractionLayer); listen with object.addEventListener().
+   * @param {THREE.Object3D} object
+   * @param {object} options - { label }
+   * @returns {THREE.Object3D} The object
+   */
+  makeInteractive(object, options = {}) {
+    if (!this.interaction) {
+      this.interaction = new InteractionLayer(this.camera, {
+        input: this.input,
+        element: this.container,
+        label: this.label
+      });
+    }
+    return this.interaction.add(object, options);
+  }
+
+  getInteraction() {
+    return this.interaction;
   }
 
   setCameraPosition(x, y, z) {
@@ -286,4 +754,8 @@ export class SceneManager {
   getPerformanceTier() {
     return this.performanceTier;
   }
+
+  getPostProcessing() {
+    return this.postProcessing;
+  }
 }
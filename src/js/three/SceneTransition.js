@@ -0,0 +1,201 @@
+/**
+ * Aurora Aqua - Scene Transition
+ * Renders the outgoing and incoming scenes into render targets and
+ * blends them with a full-screen shader (ripple wipe, depth dissolve, sink).
+ */
+
+import * as THREE from 'three';
+import gsap from 'gsap';
+import { composeShader } from '../shaders/index.js';
+
+// Effect name -> EFFECT define used by the fragment shader
+export const TRANSITION_EFFECTS = {
+  ripple: 0,
+  dissolve: 1,
+  sink: 2,
+};
+
+const vertexShader = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+const fragmentShader = composeShader(`
+  #include <packing>
+
+  uniform sampler2D uFrom;
+  uniform sampler2D uTo;
+  uniform sampler2D uToDepth;
+  uniform float uProgress;
+  uniform float uTime;
+  uniform float uAspect;
+  uniform float uToNear;
+  uniform float uToFar;
+  uniform float uDepthRange;
+
+  varying vec2 vUv;
+
+  #include "noise"
+  #include "depthFade"
+
+  void main() {
+    vec4 color;
+
+    #if EFFECT == 0
+      // RIPPLE WIPE - a ringing wavefront expands from the centre
+      vec2 p = vUv - 0.5;
+      p.x *= uAspect;
+      float dist = length(p);
+      float maxRadius = length(vec2(0.5 * uAspect, 0.5)) + 0.1;
+      float radius = uProgress * maxRadius;
+
+      float offsetFromFront = dist - radius;
+      float wave = sin(offsetFromFront * 80.0 - uTime * 6.0) * exp(-abs(offsetFromFront) * 18.0);
+      vec2 dir = p / max(dist, 0.0001);
+      vec2 offset = dir * wave * 0.015 * (1.0 - uProgress);
+      offset.x /= uAspect;
+
+      float front = smoothstep(radius - 0.04, radius + 0.04, dist);
+      color = mix(texture2D(uTo, vUv - offset), texture2D(uFrom, vUv + offset), front);
+
+    #elif EFFECT == 1
+      // DEPTH DISSOLVE - the incoming scene resolves near-to-far
+      float viewDepth = readViewDepth(uToDepth, vUv, uToNear, uToFar);
+      float linearDepth = clamp(viewDepth / uDepthRange, 0.0, 1.0);
+
+      float key = mix(linearDepth, valueNoise(vUv * 12.0), 0.35);
+      float edge = uProgress * 1.3 - 0.15;
+      float reveal = 1.0 - smoothstep(edge - 0.12, edge + 0.12, key);
+
+      color = mix(texture2D(uFrom, vUv), texture2D(uTo, vUv), reveal);
+
+    #else
+      // SINK - the old page drops below a waterline, the new one is above it
+      float waterline = 1.0 - uProgress * 1.15
+        + sin(vUv.x * 14.0 + uTime * 3.0) * 0.015
+        + sin(vUv.x * 31.0 - uTime * 2.0) * 0.006;
+
+      float above = smoothstep(waterline - 0.01, waterline + 0.01, vUv.y);
+      float nearLine = exp(-abs(vUv.y - waterline) * 40.0);
+
+      vec2 sunkUv = vUv + vec2(sin(vUv.y * 40.0 + uTime * 4.0) * 0.004 * nearLine, uProgress * 0.35);
+      vec4 sunk = texture2D(uFrom, sunkUv);
+      sunk.rgb *= 1.0 - uProgress * 0.6;
+
+      color = mix(sunk, texture2D(uTo, vUv), above);
+      color.rgb += vec3(0.4, 0.85, 0.95) * nearLine * 0.25 * color.a;
+    #endif
+
+    gl_FragColor = color;
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`);
+
+export class SceneTransition {
+  constructor(renderer, options = {}) {
+    this.renderer = renderer;
+    this.effect = options.effect in TRANSITION_EFFECTS ? options.effect : 'dissolve';
+    this.duration = options.duration || 1.4;
+    this.ease = options.ease || 'power2.inOut';
+    this.progress = 0;
+    this.time = 0;
+
+    this.init();
+  }
+
+  init() {
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+
+    this.fromTarget = this.createTarget(size);
+    this.toTarget = this.createTarget(size);
+
+    this.material = new THREE.ShaderMaterial({
+      defines: { EFFECT: TRANSITION_EFFECTS[this.effect] },
+      uniforms: {
+        uFrom: { value: this.fromTarget.texture },
+        uTo: { value: this.toTarget.texture },
+        uToDepth: { value: this.toTarget.depthTexture },
+        uProgress: { value: 0 },
+        uTime: { value: 0 },
+        uAspect: { value: size.x / size.y },
+        uToNear: { value: 0.1 },
+        uToFar: { value: 1000 },
+        uDepthRange: { value: 400 },
+      },
+      vertexShader,
+      fragmentShader,
+      depthTest: false,
+      depthWrite: false,
+      blending: THREE.NoBlending,
+    });
+
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    this.quad.frustumCulled = false;
+  }
+
+  createTarget(size) {
+    const target = new THREE.WebGLRenderTarget(size.x, size.y, {
+      type: THREE.HalfFloatType,
+      depthBuffer: true,
+    });
+    target.depthTexture = new THREE.DepthTexture(size.x, size.y);
+    return target;
+  }
+
+  /**
+   * Animate progress 0 -> 1. The caller supplies `onFrame`, which is
+   * expected to draw both scenes into the targets and then call composite().
+   */
+  play(onFrame) {
+    return new Promise(resolve => {
+      this.tween = gsap.to(this, {
+        progress: 1,
+        duration: this.duration,
+        ease: this.ease,
+        onUpdate: () => {
+          this.time += gsap.ticker.deltaRatio() / 60;
+          onFrame(this);
+        },
+        onComplete: resolve,
+      });
+    });
+  }
+
+  setIncomingCamera(camera) {
+    if (!camera || !camera.isPerspectiveCamera) return;
+
+    this.material.uniforms.uToNear.value = camera.near;
+    this.material.uniforms.uToFar.value = camera.far;
+  }
+
+  composite(exposure) {
+    const uniforms = this.material.uniforms;
+    uniforms.uProgress.value = this.progress;
+    uniforms.uTime.value = this.time;
+
+    if (exposure !== undefined) {
+      this.renderer.toneMappingExposure = exposure;
+    }
+
+    this.renderer.setRenderTarget(null);
+    this.renderer.render(this.quad, this.camera);
+  }
+
+  dispose() {
+    if (this.tween) this.tween.kill();
+
+    this.fromTarget.depthTexture.dispose();
+    this.toTarget.depthTexture.dispose();
+    this.fromTarget.dispose();
+    this.toTarget.dispose();
+    this.quad.geometry.dispose();
+    this.material.dispose();
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Aurora Aqua - Scroll Tracks
+ * Declarative keyframes for scene parameters. A track animates one
+ * property (fog density, light intensity, a uniform value, a scale)
+ * between keys placed on scroll progress, or on page sections so the
+ * story follows the copy when it is retimed:
+ *
+ *   { target: light, property: 'intensity', ease: 'power2.out', keys: [
+ *     { at: 0, value: 3 },
+ *     { at: '#mission', value: 0 }
+ *   ] }
+ *
+ * `at` is 0..1 progress, a selector (the element's top crossing the
+ * middle of the viewport) or { anchor, offset } where offset is the
+ * viewport fraction the top has to reach (0 = top edge).
+ */
+
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+const DEFAULT_ANCHOR_OFFSET = 0.5;
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+export class ScrollTracks {
+  /**
+   * @param {Array} definitions - { target, property, keys, ease? }
+   */
+  constructor(definitions = []) {
+    this.tracks = [];
+    this.lastProgress = null;
+    this.isDirty = true;
+
+    definitions.forEach(definition => this.add(definition));
+  }
+
+  add(definition) {
+    const { target, property } = definition;
+    const current = target ? target[property] : undefined;
+
+    if (current === undefined) {
+      console.warn(`⚠️ ScrollTracks: "${property}" not found on target`, target);
+      return null;
+    }
+
+    const kind = current.isColor ? 'color' : current.isVector3 ? 'vector' : 'number';
+    const track = {
+      target,
+      property,
+      kind,
+      ease: definition.ease || 'none',
+      keys: definition.keys.map(key => ({
+        at: key.at,
+        progress: typeof key.at === 'number' ? key.at : null,
+        value: this.parseValue(kind, key.value),
+        ease: key.ease ? gsap.parseEase(key.ease) : null,
+      })),
+    };
+    track.easeFn = gsap.parseEase(track.ease);
+
+    this.tracks.push(track);
+    this.isDirty = true;
+    return track;
+  }
+
+  parseValue(kind, value) {
+    if (kind === 'color') return new THREE.Color(value);
+    if (kind === 'vector') {
+      return Array.isArray(value)
+        ? new THREE.Vector3(value[0], value[1], value[2])
+        : new THREE.Vector3().setScalar(value);
+    }
+    return value;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // ANCHORS
+  // ═══════════════════════════════════════════════════════════
+
+  // Layout changed; anchor keys are measured again before the next apply
+  invalidate() {
+    this.isDirty = true;
+  }
+
+  resolveAnchors() {
+    const scrollLimit = document.documentElement.scrollHeight - window.innerHeight;
+
+    this.tracks.forEach(track => {
+      track.keys.forEach(key => {
+        if (typeof key.at === 'number') return;
+        key.progress = this.measureAnchor(key.at, scrollLimit);
+      });
+
+      // Missing anchors drop out; the rest stay in scroll order
+      track.resolved = track.keys
+        .filter(key => key.progress !== null)
+        .sort((a, b) => a.progress - b.progress);
+    });
+
+    this.isDirty = false;
+  }
+
+  measureAnchor(at, scrollLimit) {
+    const selector = typeof at === 'string' ? at : at.anchor;
+    const offset = typeof at === 'string' ? DEFAULT_ANCHOR_OFFSET : at.offset ?? DEFAULT_ANCHOR_OFFSET;
+    const element = document.querySelector(selector);
+
+    if (!element) {
+      console.warn(`⚠️ ScrollTracks: Anchor "${selector}" not found`);
+      return null;
+    }
+    if (scrollLimit <= 0) return 0;
+
+    const top = element.getBoundingClientRect().top + window.scrollY;
+    return clamp01((top - window.innerHeight * offset) / scrollLimit);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // APPLY
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Write every track's value at `progress`. Skipped while progress is
+   * unchanged, so tweens on the same properties are not overridden.
+   */
+  update(progress) {
+    if (this.isDirty) {
+      this.resolveAnchors();
+    } else if (progress === this.lastProgress) {
+      return;
+    }
+
+    this.lastProgress = progress;
+    this.tracks.forEach(track => this.apply(track, progress));
+  }
+
+  apply(track, progress) {
+    const keys = track.resolved;
+    if (!keys.length) return;
+
+    let from = keys[0];
+    let to = keys[0];
+    let t = 0;
+
+    if (progress >= keys[keys.length - 1].progress) {
+      from = to = keys[keys.length - 1];
+    } else if (progress > keys[0].progress) {
+      let i = 0;
+      while (progress > keys[i + 1].progress) i++;
+      from = keys[i];
+      to = keys[i + 1];
+
+      const span = to.progress - from.progress;
+      const ease = from.ease || track.easeFn;
+      t = span > 0 ? ease((progress - from.progress) / span) : 1;
+    }
+
+    const target = track.target;
+    const property = track.property;
+
+    if (track.kind === 'color') {
+      target[property].copy(from.value).lerp(to.value, t);
+    } else if (track.kind === 'vector') {
+      target[property].lerpVectors(from.value, to.value, t);
+    } else {
+      target[property] = from.value + (to.value - from.value) * t;
+    }
+  }
+
+  dispose() {
+    this.tracks = [];
+  }
+}
@@ -0,0 +1,352 @@
+/**
+ * Aurora Aqua - Shared Renderer
+ * One long-lived WebGL renderer/canvas owned by the app.
+ * Scenes acquire it on init and release it on destroy, so Barba
+ * navigations swap scenes without losing the GL context.
+ * Owners draw through render(), which lets a SceneTransition take
+ * over the canvas and blend two scenes.
+ * Context loss is forwarded to every owner (handleContextLost /
+ * handleContextRestored) and announced with window events.
+ */
+
+import * as THREE from 'three';
+import { SceneTransition } from './SceneTransition.js';
+import { isMobile, getDevicePixelRatio } from '../utils/device.js';
+import { getElementSize, observeSize } from '../utils/viewport.js';
+
+// Renderer state every owner starts from; scenes override what they need
+const DEFAULT_SETTINGS = {
+  toneMapping: THREE.ACESFilmicToneMapping,
+  toneMappingExposure: 1.0,
+  outputColorSpace: THREE.SRGBColorSpace,
+  clearColor: 0x000000,
+  clearAlpha: 0,
+  pixelRatio: null, // null = getDevicePixelRatio()
+};
+
+export class SharedRenderer {
+  constructor(container) {
+    this.container = container;
+    const size = getElementSize(container);
+    this.width = size.width;
+    this.height = size.height;
+    this.owners = new Map(); // owner -> { settings, view }
+    this.screenOwner = null;
+    this.appliedOwner = null;
+    this.pendingTransition = null;
+    this.activeTransition = null;
+    this.isDisposed = false;
+    this.isContextLost = false;
+    this.sizeLocked = false;
+
+    this.createRenderer();
+    this.setupResizeHandler();
+    this.setupContextHandlers();
+
+    console.log('🖥️ SharedRenderer: Created persistent WebGL context');
+  }
+
+  createRenderer() {
+    const mobile = isMobile();
+
+    this.renderer = new THREE.WebGLRenderer({
+      antialias: !mobile,
+      alpha: true,
+      powerPreference: mobile ? 'low-power' : 'high-performance',
+      stencil: false,
+      depth: true,
+    });
+
+    this.renderer.setSize(this.width, this.height);
+    this.applySettings(DEFAULT_SETTINGS);
+
+    // Style canvas
+    const canvas = this.renderer.domElement;
+    canvas.style.position = 'absolute';
+    canvas.style.top = '0';
+    canvas.style.left = '0';
+    canvas.style.width = '100%';
+    canvas.style.height = '100%';
+
+    this.container.appendChild(canvas);
+  }
+
+  // Registered before any scene's observer, so the canvas is resized
+  // before scenes update their cameras
+  setupResizeHandler() {
+    this.unobserveSize = observeSize(this.container, () => this.handleResize());
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // CONTEXT LOSS
+  // ═══════════════════════════════════════════════════════════
+
+  setupContextHandlers() {
+    const canvas = this.renderer.domElement;
+
+    // three.js calls preventDefault() so the browser may restore the context
+    this.contextLostHandler = () => {
+      this.isContextLost = true;
+      console.warn('⚠️ SharedRenderer: WebGL context lost');
+
+      this.owners.forEach((entry, owner) => {
+        if (typeof owner.handleContextLost === 'function') owner.handleContextLost();
+      });
+
+      window.dispatchEvent(new CustomEvent('webglContextLost'));
+    };
+
+    // three.js re-initialises its GL state; owners re-upload on next draw
+    this.contextRestoredHandler = () => {
+      this.isContextLost = false;
+      this.appliedOwner = null;
+      console.log('♻️ SharedRenderer: WebGL context restored');
+
+      this.owners.forEach((entry, owner) => {
+        if (typeof owner.handleContextRestored === 'function') owner.handleContextRestored();
+      });
+
+      window.dispatchEvent(new CustomEvent('webglContextRestored'));
+    };
+
+    canvas.addEventListener('webglcontextlost', this.contextLostHandler);
+    canvas.addEventListener('webglcontextrestored', this.contextRestoredHandler);
+  }
+
+  /**
+   * Dev helper - drop the context via WEBGL_lose_context and bring it
+   * back after `duration` ms, to exercise the recovery path.
+   */
+  simulateContextLoss(duration = 2000) {
+    if (this.isDisposed || this.isContextLost) return;
+
+    this.renderer.forceContextLoss();
+    setTimeout(() => this.renderer.forceContextRestore(), duration);
+  }
+
+  handleResize() {
+    if (this.isDisposed || this.sizeLocked) return;
+
+    const size = getElementSize(this.container);
+    this.width = size.width;
+    this.height = size.height;
+
+    this.renderer.setSize(this.width, this.height);
+  }
+
+  /**
+   * Pin the drawing buffer to a fixed size (frame captures). The canvas
+   * keeps its CSS size, and container resizes wait until unlockSize().
+   */
+  lockSize(width, height) {
+    this.sizeLocked = true;
+    this.width = width;
+    this.height = height;
+    this.renderer.setSize(width, height, false);
+  }
+
+  unlockSize() {
+    if (!this.sizeLocked) return;
+
+    this.sizeLocked = false;
+    this.handleResize();
+  }
+
+  /**
+   * Hand the renderer to a scene. The newest owner takes the screen,
+   * unless a transition is pending - then it waits to be blended in.
+   * @param {object} owner - The scene or SceneManager taking control
+   * @param {object} settings - Partial renderer settings for this owner
+   * @returns {THREE.WebGLRenderer}
+   */
+  acquire(owner, settings = {}) {
+    if (this.isDisposed) return null;
+
+    this.owners.set(owner, {
+      settings: { ...DEFAULT_SETTINGS, ...settings },
+      view: null,
+    });
+
+    if (this.pendingTransition) {
+      this.pendingTransition.to = owner;
+    } else {
+      this.screenOwner = owner;
+    }
+
+    return this.renderer;
+  }
+
+  /**
+   * Give the renderer back. The last frame stays on the canvas until
+   * the next owner draws, so there is no black flash between pages.
+   */
+  release(owner) {
+    if (!this.owners.has(owner)) return;
+
+    this.owners.delete(owner);
+    if (this.screenOwner === owner) this.screenOwner = null;
+    if (this.appliedOwner === owner) this.appliedOwner = null;
+
+    this.renderer.setRenderTarget(null);
+    this.renderer.renderLists.dispose();
+  }
+
+  // Merge new settings into an owner's state (e.g. exposure changes mid-scene)
+  updateSettings(owner, settings) {
+    const entry = this.owners.get(owner);
+    if (!entry) return;
+
+    Object.assign(entry.settings, settings);
+    if (this.appliedOwner === owner) this.appliedOwner = null;
+  }
+
+  isOwnedBy(owner) {
+    return this.screenOwner === owner;
+  }
+
+  /**
+   * Draw an owner's scene. Only the screen owner reaches the canvas;
+   * during a transition the transition itself draws both owners.
+   * @param {Function} [draw] - Custom draw(target), e.g. a post-processing
+   *   stack; it must leave linear colour and depth in non-null targets
+   */
+  render(owner, scene, camera, draw = null) {
+    const entry = this.owners.get(owner);
+    if (!entry) return;
+
+    entry.view = { scene, camera, draw };
+
+    if (this.activeTransition || owner !== this.screenOwner) return;
+
+    this.drawOwner(owner, null);
+  }
+
+  drawOwner(owner, target) {
+    const entry = this.owners.get(owner);
+    const renderer = this.renderer;
+
+    if (this.appliedOwner !== owner && entry) {
+      // Pixel ratio changes resize the canvas; skip it for offscreen draws
+      this.applySettings(entry.settings, { pixelRatio: target === null });
+      this.appliedOwner = owner;
+    }
+
+    renderer.setRenderTarget(target);
+
+    if (!entry || !entry.view) {
+      renderer.clear();
+      return;
+    }
+
+    if (entry.view.draw) {
+      entry.view.draw(target);
+      return;
+    }
+
+    renderer.render(entry.view.scene, entry.view.camera);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // WEBGL TRANSITIONS
+  // ═══════════════════════════════════════════════════════════
+
+  /**
+   * Freeze the current screen owner so the next acquire() becomes
+   * the incoming side of a transition instead of taking the screen.
+   */
+  beginTransition() {
+    this.pendingTransition = { from: this.screenOwner, to: null };
+  }
+
+  /**
+   * Blend from the frozen owner to the newest one.
+   * @param {object} options - { effect, duration, ease }
+   * @returns {Promise} Resolves once the incoming owner has the screen
+   */
+  async runTransition(options = {}) {
+    const pending = this.pendingTransition;
+    this.pendingTransition = null;
+
+    if (!pending) return;
+
+    const { from, to } = pending;
+    const fromEntry = this.owners.get(from);
+    const toEntry = this.owners.get(to);
+
+    if (!fromEntry || !toEntry || this.isDisposed) {
+      this.screenOwner = to || this.screenOwner;
+      return;
+    }
+
+    const transition = new SceneTransition(this.renderer, options);
+    this.activeTransition = transition;
+
+    console.log(`🌀 SharedRenderer: ${transition.effect} transition`);
+
+    try {
+      await transition.play(() => {
+        // Both scenes keep updating in their own loops; draw them here
+        this.drawOwner(from, transition.fromTarget);
+        this.drawOwner(to, transition.toTarget);
+
+        transition.setIncomingCamera(toEntry.view && toEntry.view.camera);
+        transition.composite(THREE.MathUtils.lerp(
+          fromEntry.settings.toneMappingExposure,
+          toEntry.settings.toneMappingExposure,
+          transition.progress
+        ));
+      });
+    } finally {
+      transition.dispose();
+      this.activeTransition = null;
+      this.appliedOwner = null;
+      this.screenOwner = this.owners.has(to) ? to : this.screenOwner;
+    }
+  }
+
+  applySettings(settings, { pixelRatio = true } = {}) {
+    const renderer = this.renderer;
+
+    renderer.toneMapping = settings.toneMapping;
+    renderer.toneMappingExposure = settings.toneMappingExposure;
+    renderer.outputColorSpace = settings.outputColorSpace;
+    renderer.setClearColor(settings.clearColor, settings.clearAlpha);
+
+    if (pixelRatio) {
+      const ratio = settings.pixelRatio || getDevicePixelRatio();
+      if (renderer.getPixelRatio() !== ratio) renderer.setPixelRatio(ratio);
+    }
+  }
+
+  getRenderer() {
+    return this.renderer;
+  }
+
+  getCanvas() {
+    return this.renderer.domElement;
+  }
+
+  getSize() {
+    return { width: this.width, height: this.height };
+  }
+
+  dispose() {
+    if (this.isDisposed) return;
+
+    this.isDisposed = true;
+    this.owners.clear();
+    this.screenOwner = null;
+    this.unobserveSize();
+
+    const canvas = this.renderer.domElement;
+    canvas.removeEventListener('webglcontextlost', this.contextLostHandler);
+    canvas.removeEventListener('webglcontextrestored', this.contextRestoredHandler);
+
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+
+    if (this.renderer.domElement.parentNode) {
+      this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
+    }
+  }
+}
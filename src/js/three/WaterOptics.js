@@ -0,0 +1,283 @@
+/**
+ * Aurora Aqua - Water Optics
+ * Planar reflection and screen-space refraction for a flat water surface.
+ * Right before the surface draws, the scene is rendered without it twice:
+ * from the camera mirrored in the water plane (what the surface reflects)
+ * and from the camera itself (what shows through). Both passes run at a
+ * fraction of the frame's size and only on the tiers that can afford
+ * them; elsewhere the "optics" chunk falls back to flat colours.
+ *
+ * Spread `optics.uniforms` and `optics.defines` into the surface material,
+ * then attach() the mesh. Register the optics with addObject() so quality
+ * changes reach setQuality().
+ */
+
+import * as THREE from 'three';
+import { getPerformanceTier } from '../utils/device.js';
+
+// Passes per tier; scale is relative to the frame being drawn
+export const OPTICS_QUALITY = {
+  low: { reflection: false, refraction: false, scale: 0 },
+  medium: { reflection: true, refraction: false, scale: 0.35 },
+  high: { reflection: true, refraction: true, scale: 0.5 },
+};
+
+// Pushes the mirror clip plane just past the surface so its edge
+// doesn't flicker
+const CLIP_BIAS = 0.003;
+
+const _size = new THREE.Vector2();
+const _surfacePosition = new THREE.Vector3();
+const _cameraPosition = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _view = new THREE.Vector3();
+const _lookAt = new THREE.Vector3();
+const _target = new THREE.Vector3();
+const _rotation = new THREE.Matrix4();
+const _plane = new THREE.Plane();
+const _clipPlane = new THREE.Vector4();
+const _q = new THREE.Vector4();
+
+export class WaterOptics {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {object} options
+   * @param {string} options.tier - Quality tier
+   * @param {boolean} options.reflection - Allow the reflection pass
+   * @param {boolean} options.refraction - Allow the refraction pass
+   * @param {number} options.offset - Local z the displaced surface rests
+   *   at, if not its plane
+   * @param {number} options.distortion - Screen offset per normal tilt
+   * @param {number} options.reflectColor - Fallback reflection overhead
+   * @param {number} options.reflectHorizon - Fallback reflection at
+   *   grazing angles
+   * @param {number} options.refractColor - Fallback for what shows through
+   */
+  constructor(renderer, options = {}) {
+    this.renderer = renderer;
+    this.allowReflection = options.reflection ?? true;
+    this.allowRefraction = options.refraction ?? true;
+    this.offset = options.offset || 0;
+    // The attached surface (not `mesh`: SceneManager would adopt it)
+    this.surface = null;
+
+    this.reflectionTarget = null;
+    this.refractionTarget = null;
+    this.mirrorCamera = new THREE.PerspectiveCamera();
+    this.textureMatrix = new THREE.Matrix4();
+
+    // Shared with the surface material
+    this.uniforms = {
+      uReflectionMap: { value: null },
+      uReflectionMatrix: { value: this.textureMatrix },
+      uRefractionMap: { value: null },
+      uOpticsDistortion: { value: options.distortion ?? 0.03 },
+      uOpticsReflectColor: { value: new THREE.Color(options.reflectColor ?? 0x0b1f3a) },
+      uOpticsReflectHorizon: { value: new THREE.Color(options.reflectHorizon ?? 0x2a4a6c) },
+      uOpticsRefractColor: { value: new THREE.Color(options.refractColor ?? 0x041e42) },
+    };
+    this.defines = {};
+
+    this.setQuality(options.tier || getPerformanceTier());
+  }
+
+  /**
+   * Render the passes whenever this mesh draws (the main view, captures
+   * and transitions alike).
+   * @param {THREE.Mesh} mesh - Flat in its local x/y, using this.uniforms
+   */
+  attach(mesh) {
+    this.surface = mesh;
+    this.applyDefines();
+
+    // The surface is hidden while the passes draw, so this can't recurse
+    mesh.onBeforeRender = (renderer, scene, camera) => {
+      if (this.reflectionTarget || this.refractionTarget) this.renderPasses(scene, camera);
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // QUALITY
+  // ═══════════════════════════════════════════════════════════
+
+  setQuality(tier) {
+    const quality = OPTICS_QUALITY[tier] || OPTICS_QUALITY.medium;
+    this.quality = {
+      reflection: quality.reflection && this.allowReflection,
+      refraction: quality.refraction && this.allowRefraction,
+      scale: quality.scale,
+    };
+
+    this.reflectionTarget = this.updateTarget(this.reflectionTarget, this.quality.reflection);
+    this.refractionTarget = this.updateTarget(this.refractionTarget, this.quality.refraction);
+    this.uniforms.uReflectionMap.value = this.reflectionTarget ? this.reflectionTarget.texture : null;
+    this.uniforms.uRefractionMap.value = this.refractionTarget ? this.refractionTarget.texture : null;
+
+    this.setDefine('USE_REFLECTION', this.quality.reflection);
+    this.setDefine('USE_REFRACTION', this.quality.refraction);
+    this.applyDefines();
+  }
+
+  // Create or drop a pass target; it is sized when the pass first runs
+  updateTarget(target, enabled) {
+    if (enabled) {
+      return target || new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+    }
+    if (target) target.dispose();
+    return null;
+  }
+
+  setDefine(name, enabled) {
+    if (enabled) {
+      this.defines[name] = '';
+    } else {
+      delete this.defines[name];
+    }
+  }
+
+  // Materials copy defines when built; recompile the surface on change
+  applyDefines() {
+    if (!this.surface) return;
+
+    const material = this.surface.material;
+    const defines = material.defines || (material.defines = {});
+    ['USE_REFLECTION', 'USE_REFRACTION'].forEach(name => {
+      if (name in this.defines) {
+        defines[name] = this.defines[name];
+      } else {
+        delete defines[name];
+      }
+    });
+    material.needsUpdate = true;
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // PASSES
+  // ═══════════════════════════════════════════════════════════
+
+  renderPasses(scene, camera) {
+    const renderer = this.renderer;
+    const currentTarget = renderer.getRenderTarget();
+
+    // Match the frame being drawn: the screen, or a capture target
+    if (currentTarget) {
+      _size.set(currentTarget.width, currentTarget.height);
+    } else {
+      renderer.getDrawingBufferSize(_size);
+    }
+    const width = Math.max(1, Math.round(_size.x * this.quality.scale));
+    const height = Math.max(1, Math.round(_size.y * this.quality.scale));
+
+    const xrEnabled = renderer.xr.enabled;
+    const shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+    renderer.xr.enabled = false;
+    renderer.shadowMap.autoUpdate = false;
+
+    this.surface.visible = false;
+
+    if (this.reflectionTarget && this.updateMirrorCamera(camera)) {
+      this.reflectionTarget.setSize(width, height);
+      this.renderPass(scene, this.mirrorCamera, this.reflectionTarget);
+    }
+
+    if (this.refractionTarget) {
+      this.refractionTarget.setSize(width, height);
+      this.renderPass(scene, camera, this.refractionTarget);
+    }
+
+    this.surface.visible = true;
+
+    renderer.xr.enabled = xrEnabled;
+    renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+    renderer.setRenderTarget(currentTarget);
+    if (camera.viewport !== undefined) renderer.state.viewport(camera.viewport);
+  }
+
+  renderPass(scene, camera, target) {
+    const renderer = this.renderer;
+
+    renderer.setRenderTarget(target);
+    renderer.state.buffers.depth.setMask(true);
+    if (renderer.autoClear === false) renderer.clear();
+    renderer.render(scene, camera);
+  }
+
+  /**
+   * Mirror the camera in the surface plane, from whichever side it is on
+   * (above the water it sees the sky, below it the depths), and clip
+   * everything on the camera's side of the plane.
+   * @returns {boolean} False if the camera lies in the plane
+   */
+  updateMirrorCamera(camera) {
+    const mesh = this.surface;
+    const mirror = this.mirrorCamera;
+
+    mesh.updateWorldMatrix(true, false);
+    _surfacePosition.set(0, 0, this.offset).applyMatrix4(mesh.matrixWorld);
+    _cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+    _rotation.extractRotation(mesh.matrixWorld);
+    _normal.set(0, 0, 1).applyMatrix4(_rotation);
+
+    _view.subVectors(_surfacePosition, _cameraPosition);
+    const side = _view.dot(_normal);
+    if (Math.abs(side) < 1e-6) return false;
+    if (side > 0) _normal.negate();
+
+    _view.reflect(_normal).negate().add(_surfacePosition);
+
+    _rotation.extractRotation(camera.matrixWorld);
+    _lookAt.set(0, 0, -1).applyMatrix4(_rotation).add(_cameraPosition);
+    _target.subVectors(_surfacePosition, _lookAt).reflect(_normal).negate().add(_surfacePosition);
+
+    mirror.position.copy(_view);
+    mirror.up.set(0, 1, 0).applyMatrix4(_rotation).reflect(_normal);
+    mirror.lookAt(_target);
+    mirror.near = camera.near;
+    mirror.far = camera.far;
+    mirror.updateMatrixWorld();
+    mirror.projectionMatrix.copy(camera.projectionMatrix);
+
+    // Clip-space → texture coordinates
+    this.textureMatrix.set(
+      0.5, 0.0, 0.0, 0.5,
+      0.0, 0.5, 0.0, 0.5,
+      0.0, 0.0, 0.5, 0.5,
+      0.0, 0.0, 0.0, 1.0
+    );
+    this.textureMatrix.multiply(mirror.projectionMatrix);
+    this.textureMatrix.multiply(mirror.matrixWorldInverse);
+
+    // Oblique near plane on the surface (Lengyel), so nothing between
+    // the camera and the water shows up in the mirror
+    _plane.setFromNormalAndCoplanarPoint(_normal, _surfacePosition);
+    _plane.applyMatrix4(mirror.matrixWorldInverse);
+    _clipPlane.set(_plane.normal.x, _plane.normal.y, _plane.normal.z, _plane.constant);
+
+    const projection = mirror.projectionMatrix.elements;
+    _q.set(
+      (Math.sign(_clipPlane.x) + projection[8]) / projection[0],
+      (Math.sign(_clipPlane.y) + projection[9]) / projection[5],
+      -1.0,
+      (1.0 + projection[10]) / projection[14]
+    );
+    _clipPlane.multiplyScalar(2.0 / _clipPlane.dot(_q));
+
+    projection[2] = _clipPlane.x;
+    projection[6] = _clipPlane.y;
+    projection[10] = _clipPlane.z + 1.0 - CLIP_BIAS;
+    projection[14] = _clipPlane.w;
+
+    return true;
+  }
+
+  dispose() {
+    if (this.surface) {
+      this.surface.onBeforeRender = () => {};
+      this.surface = null;
+    }
+    if (this.reflectionTarget) this.reflectionTarget.dispose();
+    if (this.refractionTarget) this.refractionTarget.dispose();
+    this.reflectionTarget = null;
+    this.refractionTarget = null;
+  }
+}
@@ -1,26 +1,155 @@
 /**
  * Aurora Aqua - Water Surface Shader
- * Procedural water surface with animated waves - underwater feel
+ * Ocean surface built from directional Gerstner waves. Each preset is a
+ * small wave spectrum (long swell plus shorter chop); switching presets
+ * tweens every wave so the sea builds up or settles instead of cutting.
+ * Normals are derived from the same wave sums, so lighting, fresnel and
+ * the sun glint sit exactly on the crests.
+ *
+ * Pass a RippleSimulation as `ripples` and its heightfield rides on the
+ * waves; the owner steps it and binds it to the pointer. Pass WaterOptics
+ * as `optics` and the surface reflects and refracts the scene around it.
  */
 
 import * as THREE from 'three';
-import { isMobile, getPerformanceTier } from '../utils/device.js';
+import gsap from 'gsap';
+import { getPerformanceTier } from '../utils/device.js';
+import { composeShader } from '../shaders/index.js';
+
+// Grid resolution per quality tier
+const SEGMENTS = { low: 48, medium: 80, high: 128 };
+
+// Waves per preset (the shader loops over a fixed count)
+const WAVE_COUNT = 6;
+const GRAVITY = 9.8;
+
+// Directions in degrees (0 = +x across the surface), lengths in world
+// units. Steepness adds up across a preset; past 1 the crests loop over.
+// `speed` scales the deep-water phase speed sqrt(g / k).
+export const WAVE_PRESETS = {
+  // Sheltered pond - faint, short ripples
+  calm: {
+    speed: 0.5,
+    waves: [
+      { direction: 20, steepness: 0.08, length: 24 },
+      { direction: 75, steepness: 0.06, length: 15 },
+      { direction: -40, steepness: 0.05, length: 9 },
+      { direction: 130, steepness: 0.04, length: 6 },
+    ],
+  },
+  // Steady swell with chop running across it
+  openSea: {
+    speed: 0.6,
+    waves: [
+      { direction: 10, steepness: 0.22, length: 60 },
+      { direction: 35, steepness: 0.18, length: 34 },
+      { direction: -20, steepness: 0.15, length: 21 },
+      { direction: 60, steepness: 0.12, length: 13 },
+      { direction: -55, steepness: 0.1, length: 8 },
+      { direction: 100, steepness: 0.08, length: 5 },
+    ],
+  },
+  // Open water seen from a distance: long, low swell for large, coarse
+  // grids (shorter waves would fade out below a few grid cells)
+  swell: {
+    speed: 0.4,
+    waves: [
+      { direction: 10, steepness: 0.04, length: 220 },
+      { direction: -25, steepness: 0.035, length: 140 },
+      { direction: 50, steepness: 0.03, length: 90 },
+      { direction: -70, steepness: 0.025, length: 60 },
+    ],
+  },
+  // Long, heavy swell with sharp, near-breaking crests
+  storm: {
+    speed: 0.8,
+    waves: [
+      { direction: 0, steepness: 0.3, length: 90 },
+      { direction: 20, steepness: 0.22, length: 52 },
+      { direction: -15, steepness: 0.18, length: 30 },
+      { direction: 45, steepness: 0.12, length: 17 },
+      { direction: -40, steepness: 0.1, length: 10 },
+      { direction: 80, steepness: 0.06, length: 6 },
+    ],
+  },
+};
+
+// Missing waves in a preset are flat
+const FLAT_WAVE = { direction: 0, steepness: 0, length: 10 };
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+function getPreset(name) {
+  const preset = WAVE_PRESETS[name];
+  if (!preset) {
+    console.warn(`⚠️ WaterSurface: Unknown preset "${name}", using openSea`);
+    return WAVE_PRESETS.openSea;
+  }
+  return preset;
+}
 
 export class WaterSurface {
+  /**
+   * @param {object} options
+   * @param {number} options.width - Local units
+   * @param {number} options.height - Local units
+   * @param {object} options.segments - Grid resolution per tier
+   * @param {string} options.tier
+   * @param {object} options.position - World position of the centre
+   * @param {string} options.preset - Key of WAVE_PRESETS
+   * @param {object} options.colors - { deep, surface, highlight }
+   * @param {number} options.opacity
+   * @param {number} options.diffuse - Light added by the sun on slopes
+   * @param {number} options.shimmer - Caustic shimmer strength
+   * @param {THREE.Vector3} options.sunDirection - Towards the light
+   * @param {InputService} options.input - Pointer for the glint
+   * @param {RippleSimulation} options.ripples
+   * @param {WaterOptics} options.optics
+   */
   constructor(options = {}) {
     this.width = options.width || 200;
     this.height = options.height || 200;
-    
-    const tier = getPerformanceTier();
-    this.segments = tier === 'low' ? 48 : (tier === 'medium' ? 80 : 128);
-    
+
+    const tier = options.tier || getPerformanceTier();
+    this.segmentsByTier = options.segments || SEGMENTS;
+    this.segments = this.segmentsByTier[tier] || this.segmentsByTier.medium;
+
     this.position = options.position || { x: 0, y: 30, z: -30 };
-    this.mobile = isMobile();
-    
+    this.options = options;
+    this.ripples = options.ripples || null;
+    this.optics = options.optics || null;
+
+    // Live wave parameters - tweened between presets, read every frame
+    const preset = getPreset(options.preset || 'openSea');
+    this.presetName = options.preset || 'openSea';
+    this.state = {
+      speed: preset.speed,
+      waves: Array.from({ length: WAVE_COUNT }, (_, i) => ({ ...(preset.waves[i] || FLAT_WAVE) })),
+    };
+    // Phases are a function of scene time, so seek() lands on the same
+    // sea as playing through: base + rate(t) * (t - time), re-based when
+    // a preset change starts to vary the rates
+    this.phases = new Array(WAVE_COUNT).fill(0);
+    this.phaseOrigin = { time: 0, phases: new Array(WAVE_COUNT).fill(0) };
+    this.elapsed = 0;
+    this.presetTimeline = null;
+
     this.init();
+    this.updateWaves(0);
+
+    // Glint follows the pointer (InputService, y down → screen uv, y up)
+    this.unsubscribeInput = options.input
+      ? options.input.onPointerMove((x, y) => this.setMousePosition(x * 0.5 + 0.5, 0.5 - y * 0.5))
+      : null;
   }
 
   init() {
+    const options = this.options;
+    const colors = options.colors || {};
+
     this.geometry = new THREE.PlaneGeometry(
       this.width,
       this.height,
@@ -29,180 +158,289 @@ export class WaterSurface {
     );
 
     this.material = new THREE.ShaderMaterial({
+      defines: {
+        GERSTNER_WAVES: WAVE_COUNT,
+        ...(this.ripples ? { USE_RIPPLES: '' } : {}),
+        ...(this.optics ? { USE_OPTICS: '', ...this.optics.defines } : {}),
+      },
       uniforms: {
+        ...THREE.UniformsUtils.clone(THREE.UniformsLib.fog),
+        // Shared objects, so the material follows the simulation
+        ...(this.ripples ? this.ripples.uniforms : {}),
+        ...(this.optics ? this.optics.uniforms : {}),
         uTime: { value: 0 },
-        uMouse: { value: new THREE.Vector2(0.5, 0.5) },
-        uColorDeep: { value: new THREE.Color(0x0a3d62) },
-        uColorSurface: { value: new THREE.Color(0x0891b2) },
-        uColorHighlight: { value: new THREE.Color(0x22d3ee) },
-        uWaveSpeed: { value: 0.5 },
-        uWaveAmplitude: { value: isMobile() ? 2.0 : 3.5 },
-        uWaveFrequency: { value: 0.15 },
-        uOpacity: { value: 0.9 },
+        // Pointer in screen uv (y up)
+        uMouse: { value: new THREE.Vector2(-1, -1) },
+        uColorDeep: { value: new THREE.Color(colors.deep ?? 0x0a3d62) },
+        uColorSurface: { value: new THREE.Color(colors.surface ?? 0x0891b2) },
+        uColorHighlight: { value: new THREE.Color(colors.highlight ?? 0x22d3ee) },
+        uWaves: { value: Array.from({ length: WAVE_COUNT }, () => new THREE.Vector4()) },
+        uWavePhases: { value: new Array(WAVE_COUNT).fill(0) },
+        uWaveHeight: { value: 1 },
+        uSunDirection: { value: (options.sunDirection || new THREE.Vector3(0.3, 1.0, 0.5)).clone().normalize() },
+        uDiffuse: { value: options.diffuse ?? 0.2 },
+        uShimmer: { value: options.shimmer ?? 0.15 },
+        uOpacity: { value: options.opacity ?? 0.9 },
       },
-      vertexShader: `
-        uniform float uTime;
-        uniform float uWaveSpeed;
-        uniform float uWaveAmplitude;
-        uniform float uWaveFrequency;
-        
+      vertexShader: composeShader(`
+        uniform float uWaveHeight;
+
         varying vec2 vUv;
         varying float vElevation;
-        varying vec3 vNormal;
-        varying vec3 vPosition;
-        
-        //	Simplex 3D Noise
-        vec4 permute(vec4 x){ return mod(((x*34.0)+1.0)*x, 289.0); }
-        vec4 taylorInvSqrt(vec4 r){ return 1.79284291400159 - 0.85373472095314 * r; }
-        
-        float snoise(vec3 v){
-          const vec2 C = vec2(1.0/6.0, 1.0/3.0);
-          const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
-          
-          vec3 i  = floor(v + dot(v, C.yyy));
-          vec3 x0 = v - i + dot(i, C.xxx);
-          
-          vec3 g = step(x0.yzx, x0.xyz);
-          vec3 l = 1.0 - g;
-          vec3 i1 = min(g.xyz, l.zxy);
-          vec3 i2 = max(g.xyz, l.zxy);
-          
-          vec3 x1 = x0 - i1 + C.xxx;
-          vec3 x2 = x0 - i2 + C.yyy;
-          vec3 x3 = x0 - D.yyy;
-          
-          i = mod(i, 289.0);
-          vec4 p = permute(permute(permute(
-            i.z + vec4(0.0, i1.z, i2.z, 1.0))
-            + i.y + vec4(0.0, i1.y, i2.y, 1.0))
-            + i.x + vec4(0.0, i1.x, i2.x, 1.0));
-            
-          float n_ = 1.0/7.0;
-          vec3 ns = n_ * D.wyz - D.xzx;
-          
-          vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
-          
-          vec4 x_ = floor(j * ns.z);
-          vec4 y_ = floor(j - 7.0 * x_);
-          
-          vec4 x = x_ *ns.x + ns.yyyy;
-          vec4 y = y_ *ns.x + ns.yyyy;
-          vec4 h = 1.0 - abs(x) - abs(y);
-          
-          vec4 b0 = vec4(x.xy, y.xy);
-          vec4 b1 = vec4(x.zw, y.zw);
-          
-          vec4 s0 = floor(b0)*2.0 + 1.0;
-          vec4 s1 = floor(b1)*2.0 + 1.0;
-          vec4 sh = -step(h, vec4(0.0));
-          
-          vec4 a0 = b0.xzyw + s0.xzyw*sh.xxyy;
-          vec4 a1 = b1.xzyw + s1.xzyw*sh.zzww;
-          
-          vec3 p0 = vec3(a0.xy, h.x);
-          vec3 p1 = vec3(a0.zw, h.y);
-          vec3 p2 = vec3(a1.xy, h.z);
-          vec3 p3 = vec3(a1.zw, h.w);
-          
-          vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2,p2), dot(p3,p3)));
-          p0 *= norm.x;
-          p1 *= norm.y;
-          p2 *= norm.z;
-          p3 *= norm.w;
-          
-          vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
-          m = m * m;
-          return 42.0 * dot(m*m, vec4(dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3)));
-        }
-        
+        varying vec2 vLocal;
+        varying vec3 vLocalNormal;
+        varying mat3 vLocalToWorld;
+        varying vec3 vWorldPosition;
+        varying vec4 vClipPosition;
+        varying float vFogDepth;
+
+        #include "gerstner"
+
+        #ifdef USE_RIPPLES
+          #include "ripples"
+        #endif
+
+        #ifdef USE_OPTICS
+          varying vec4 vReflectCoord;
+
+          #include "optics"
+        #endif
+
         void main() {
           vUv = uv;
-          
-          vec3 pos = position;
-          
-          // Multi-layer wave simulation
-          float time = uTime * uWaveSpeed;
-          
-          float wave1 = snoise(vec3(pos.x * uWaveFrequency, pos.y * uWaveFrequency, time * 0.5)) * uWaveAmplitude;
-          float wave2 = snoise(vec3(pos.x * uWaveFrequency * 2.0 + 100.0, pos.y * uWaveFrequency * 2.0, time * 0.7)) * uWaveAmplitude * 0.5;
-          float wave3 = snoise(vec3(pos.x * uWaveFrequency * 4.0 + 200.0, pos.y * uWaveFrequency * 4.0, time * 0.3)) * uWaveAmplitude * 0.25;
-          
-          float elevation = wave1 + wave2 + wave3;
-          pos.z += elevation;
-          
-          vElevation = elevation;
-          vPosition = pos;
-          
-          // Calculate normal for lighting
-          float epsilon = 0.1;
-          float waveXNext = snoise(vec3((pos.x + epsilon) * uWaveFrequency, pos.y * uWaveFrequency, time * 0.5)) * uWaveAmplitude;
-          float waveYNext = snoise(vec3(pos.x * uWaveFrequency, (pos.y + epsilon) * uWaveFrequency, time * 0.5)) * uWaveAmplitude;
-          
-          vec3 tangent = normalize(vec3(epsilon, 0.0, waveXNext - wave1));
-          vec3 bitangent = normalize(vec3(0.0, epsilon, waveYNext - wave1));
-          vNormal = normalize(cross(tangent, bitangent));
-          
-          gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+          vLocal = position.xy;
+
+          vec3 waveNormal;
+          vec3 pos = gerstnerSurface(position.xy, waveNormal);
+          vLocalNormal = waveNormal;
+
+          #ifdef USE_RIPPLES
+            pos.z += rippleHeight(position.xy);
+          #endif
+
+          // -1 in the deepest trough, 1 on the highest possible crest
+          vElevation = pos.z / uWaveHeight;
+
+          // The plane is rotated into place; light in world space
+          vec4 worldPosition = modelMatrix * vec4(pos, 1.0);
+          vWorldPosition = worldPosition.xyz;
+          vLocalToWorld = mat3(modelMatrix);
+
+          vec4 mvPosition = viewMatrix * worldPosition;
+          vFogDepth = -mvPosition.z;
+
+          gl_Position = projectionMatrix * mvPosition;
+          vClipPosition = gl_Position;
+
+          #ifdef USE_OPTICS
+            vReflectCoord = reflectionCoord(vWorldPosition);
+          #endif
         }
-      `,
-      fragmentShader: `
+      `),
+      fragmentShader: composeShader(`
         uniform float uTime;
         uniform vec2 uMouse;
         uniform vec3 uColorDeep;
         uniform vec3 uColorSurface;
         uniform vec3 uColorHighlight;
+        uniform vec3 uSunDirection;
+        uniform float uDiffuse;
+        uniform float uShimmer;
         uniform float uOpacity;
-        
+
         varying vec2 vUv;
         varying float vElevation;
-        varying vec3 vNormal;
-        varying vec3 vPosition;
-        
+        varying vec2 vLocal;
+        varying vec3 vLocalNormal;
+        varying mat3 vLocalToWorld;
+        varying vec3 vWorldPosition;
+        varying vec4 vClipPosition;
+        varying float vFogDepth;
+
+        #include "fresnel"
+        #include "caustics"
+        #include "fog"
+
+        #ifdef USE_RIPPLES
+          #include "ripples"
+        #endif
+
+        #ifdef USE_OPTICS
+          varying vec4 vReflectCoord;
+
+          #include "optics"
+        #endif
+
         void main() {
-          // Mix colors based on elevation for depth effect
-          float normalizedElevation = (vElevation + 4.0) / 8.0;
-          
+          // Ripples are finer than the grid, so they tilt the normal here
+          vec3 localNormal = normalize(vLocalNormal);
+          #ifdef USE_RIPPLES
+            localNormal = rippleNormal(vLocal, localNormal);
+          #endif
+
+          vec3 normal = normalize(vLocalToWorld * localNormal);
+          vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+
+          // Troughs read deep, crests catch the light
+          float normalizedElevation = clamp(vElevation * 0.5 + 0.5, 0.0, 1.0);
           vec3 color = mix(uColorDeep, uColorSurface, normalizedElevation);
-          
-          // Add bright highlights on wave peaks
-          float highlight = smoothstep(0.55, 0.9, normalizedElevation);
-          color = mix(color, uColorHighlight, highlight * 0.6);
-          
-          // Simple lighting - light from above
-          vec3 lightDir = normalize(vec3(0.3, 1.0, 0.5));
-          float diffuse = max(dot(vNormal, lightDir), 0.0);
-          color += diffuse * 0.2;
-          
-          // Fresnel effect - edges glow
-          vec3 viewDir = normalize(cameraPosition - vPosition);
-          float fresnel = pow(1.0 - max(dot(vNormal, viewDir), 0.0), 2.5);
-          color = mix(color, uColorHighlight, fresnel * 0.4);
-          
+
+          float highlight = smoothstep(0.6, 0.95, normalizedElevation);
+          color = mix(color, uColorHighlight, highlight * 0.5);
+
+          // Diffuse and a tight sun glint off the wave slopes
+          float diffuse = max(dot(normal, uSunDirection), 0.0);
+          color += diffuse * uDiffuse;
+
+          vec3 reflected = reflect(-uSunDirection, normal);
+          color += pow(max(dot(reflected, viewDir), 0.0), 64.0) * 0.6 * uColorHighlight;
+
+          // Fresnel effect - grazing angles glow
+          color = mix(color, uColorHighlight, fresnel(normal, viewDir, 2.5) * 0.4);
+
+          #ifdef USE_OPTICS
+            // The scene through the water head-on, mirrored at grazing angles
+            vec3 facing = dot(normal, viewDir) < 0.0 ? -normal : normal;
+            vec3 reflection = waterReflection(vReflectCoord, facing, viewDir);
+            vec3 refraction = waterRefraction(vClipPosition, facing);
+            color = mix(color, mix(refraction, reflection, fresnel(facing, viewDir, 2.0)), 0.5);
+          #endif
+
           // Caustic-like shimmer
-          float caustic = sin(vUv.x * 40.0 + uTime) * sin(vUv.y * 40.0 + uTime * 0.7) * 0.5 + 0.5;
-          caustic = pow(caustic, 3.0) * 0.15;
-          color += vec3(caustic) * uColorHighlight;
-          
+          color += causticShimmer(vUv * 40.0, uTime) * uShimmer * uColorHighlight;
+
+          // Soft glint on the water under the pointer
+          vec2 screenUv = vClipPosition.xy / vClipPosition.w * 0.5 + 0.5;
+          color += uColorHighlight * (1.0 - smoothstep(0.0, 0.2, distance(screenUv, uMouse))) * 0.12;
+
+          color = applySceneFog(color, vFogDepth);
+
           // Subtle gradient fade at edges
           float edgeFade = 1.0 - smoothstep(0.35, 0.5, length(vUv - 0.5));
-          
+
           gl_FragColor = vec4(color, uOpacity * (0.6 + edgeFade * 0.4));
         }
-      `,
+      `),
       transparent: true,
       side: THREE.DoubleSide,
       depthWrite: false,
+      fog: true,
     });
 
     this.mesh = new THREE.Mesh(this.geometry, this.material);
     this.mesh.rotation.x = -Math.PI / 2;
     this.mesh.position.set(this.position.x, this.position.y, this.position.z);
+
+    if (this.optics) this.optics.attach(this.mesh);
   }
 
   update(delta, elapsed) {
     this.material.uniforms.uTime.value = elapsed;
+    this.updateWaves(elapsed);
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // WAVES
+  // ═══════════════════════════════════════════════════════════
+
+  // Push the live state into the uniforms and place each wave's phase
+  // at scene time `elapsed`
+  updateWaves(elapsed) {
+    const origin = this.phaseOrigin;
+    const span = elapsed - origin.time;
+    this.elapsed = elapsed;
+
+    const uniforms = this.material.uniforms;
+    // Waves shorter than a few grid cells would alias into noise
+    const cell = this.width / this.segments;
+    let height = 0;
+
+    for (let i = 0; i < WAVE_COUNT; i++) {
+      const wave = this.state.waves[i];
+      const k = (Math.PI * 2) / Math.max(wave.length, 0.001);
+      const steepness = wave.steepness * smoothstep(2 * cell, 4 * cell, wave.length);
+      const angle = THREE.MathUtils.degToRad(wave.direction);
+
+      const phase = origin.phases[i] + Math.sqrt(GRAVITY * k) * this.state.speed * span;
+      this.phases[i] = ((phase % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+
+      uniforms.uWaves.value[i].set(Math.cos(angle), Math.sin(angle), steepness, k);
+      uniforms.uWavePhases.value[i] = this.phases[i];
+      height += steepness / k;
+    }
+
+    uniforms.uWaveHeight.value = Math.max(height, 0.001);
+  }
+
+  /**
+   * Move to another sea state.
+   * @param {string} name - Key of WAVE_PRESETS
+   * @param {object} options - { duration (s, 0 = instant), ease }
+   * @returns {gsap.core.Timeline|null} The blend, if animated
+   */
+  setPreset(name, options = {}) {
+    const preset = getPreset(name);
+    const duration = options.duration ?? 2;
+    const ease = options.ease || 'sine.inOut';
+
+    this.presetName = name;
+    if (this.presetTimeline) this.presetTimeline.kill();
+    this.presetTimeline = null;
+
+    // Rates change from here on; keep the sea where it is now
+    this.phaseOrigin = { time: this.elapsed, phases: this.phases.slice() };
+
+    const targets = this.state.waves.map((wave, i) => {
+      const target = { ...(preset.waves[i] || FLAT_WAVE) };
+
+      // A wave fading in starts from its own shape; one fading out
+      // keeps its shape and only flattens
+      if (wave.steepness === 0) {
+        wave.direction = target.direction;
+        wave.length = target.length;
+      } else if (target.steepness === 0) {
+        target.direction = wave.direction;
+        target.length = wave.length;
+      }
+
+      // Turn the short way round
+      target.direction = wave.direction + ((((target.direction - wave.direction) % 360) + 540) % 360 - 180);
+      return target;
+    });
+
+    if (duration <= 0) {
+      this.state.speed = preset.speed;
+      this.state.waves.forEach((wave, i) => Object.assign(wave, targets[i]));
+      return null;
+    }
+
+    const timeline = gsap.timeline();
+    timeline.to(this.state, { speed: preset.speed, duration, ease }, 0);
+    this.state.waves.forEach((wave, i) => {
+      timeline.to(wave, { ...targets[i], duration, ease }, 0);
+    });
+
+    this.presetTimeline = timeline;
+    return timeline;
+  }
+
+  getPresetName() {
+    return this.presetName;
+  }
+
+  // Rebuild the grid at the tier's resolution; the material is kept
+  setQuality(tier) {
+    const segments = this.segmentsByTier[tier] || this.segmentsByTier.medium;
+    if (segments === this.segments) return;
+
+    this.segments = segments;
+    const previous = this.geometry;
+    this.geometry = new THREE.PlaneGeometry(this.width, this.height, segments, segments);
+    this.mesh.geometry = this.geometry;
+    previous.dispose();
   }
 
+  // Screen uv, y up
   setMousePosition(x, y) {
     this.material.uniforms.uMouse.value.set(x, y);
   }
@@ -212,6 +450,8 @@ export class WaterSurface {
   }
 
   dispose() {
+    if (this.presetTimeline) this.presetTimeline.kill();
+    if (this.unsubscribeInput) this.unsubscribeInput();
     this.geometry.dispose();
     this.material.dispose();
   }
@@ -0,0 +1,36 @@
+/**
+ * Aurora Aqua - Pointer Targets
+ * The canvas sits under the page, so scene input arrives as window
+ * events; these decide whether an event belongs to the page or may
+ * reach the scene behind it.
+ */
+
+// Layout boxes with nothing of their own to read or press; the scene
+// shows through them
+const PAGE_BACKDROP = 'html, body, main, section, .container, .canvas-container, .canvas-container canvas';
+
+/**
+ * Did the event land on bare backdrop rather than page content (text,
+ * cards, images)? Use it for actions such as navigation that must not
+ * fire from a click meant for the page.
+ * @param {Element} target - The innermost element hit
+ * @returns {boolean}
+ */
+export function isOnBackdrop(target) {
+  return Boolean(target && target.matches && target.matches(PAGE_BACKDROP));
+}
+
+// Controls the page handles itself; pressing one must not also act on
+// the scene
+const PAGE_CONTROLS = 'a, button, input, textarea, select, label, [data-magnetic], [data-tilt]';
+
+/**
+ * Did the event land on (or inside) a page control: a link, field,
+ * button or magnetic/tilt element? Use it for scene effects that may
+ * play under page text but not under a press meant for a control.
+ * @param {Element} target - The innermost element hit
+ * @returns {boolean}
+ */
+export function isOnControl(target) {
+  return Boolean(target && target.closest && target.closest(PAGE_CONTROLS));
+}
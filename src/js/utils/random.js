@@ -0,0 +1,52 @@
+/**
+ * Aurora Aqua - Seeded Random
+ * Reproducible randomness for scenes. One seed per page load
+ * (`?seed=1234` pins it); each consumer derives its own stream
+ * from a label so adding particles in one place doesn't reshuffle another.
+ */
+
+let pageSeed = null;
+
+// mulberry32 - tiny, fast 32-bit PRNG; returns floats in [0, 1)
+export function mulberry32(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a string hash, used to derive per-label seeds
+export function hashString(value) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function getSeed() {
+  if (pageSeed === null) {
+    const param = new URLSearchParams(window.location.search).get('seed');
+    const parsed = param === null ? NaN : parseInt(param, 10);
+    pageSeed = Number.isFinite(parsed) ? parsed >>> 0 : Math.floor(Math.random() * 4294967296);
+  }
+  return pageSeed;
+}
+
+export function setSeed(seed) {
+  pageSeed = seed >>> 0;
+}
+
+/**
+ * @param {string} label - Stream name, e.g. a scene namespace
+ * @returns {Function} random() → [0, 1)
+ */
+export function createRandom(label = 'default') {
+  return mulberry32(hashString(`${getSeed()}:${label}`));
+}
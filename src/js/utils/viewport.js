@@ -0,0 +1,55 @@
+/**
+ * Aurora Aqua - Viewport Utilities
+ * Render surfaces follow their container, not the window, so a scene
+ * can fill the page, a card or one side of a split layout alike.
+ *
+ * The full-page canvas container is sized to the large viewport in CSS
+ * (100lvh), so a mobile URL bar sliding in or out never changes its box
+ * and the canvas is not reallocated mid-scroll.
+ */
+
+/**
+ * Content-box size of an element in CSS pixels. Falls back to the
+ * window while the element has no layout yet (detached, display: none).
+ * @param {HTMLElement} element
+ * @returns {{width: number, height: number}}
+ */
+export function getElementSize(element) {
+  const width = element ? element.clientWidth : 0;
+  const height = element ? element.clientHeight : 0;
+
+  if (!width || !height) {
+    return { width: window.innerWidth, height: window.innerHeight };
+  }
+  return { width, height };
+}
+
+/**
+ * Call back whenever an element's size changes. ResizeObserver batches
+ * changes to once per frame; browsers without it fall back to window
+ * resize events.
+ * @param {HTMLElement} element
+ * @param {Function} callback - (width, height)
+ * @returns {Function} Unsubscribe
+ */
+export function observeSize(element, callback) {
+  let last = getElementSize(element);
+
+  const check = () => {
+    const size = getElementSize(element);
+    if (size.width === last.width && size.height === last.height) return;
+
+    last = size;
+    callback(size.width, size.height);
+  };
+
+  if (typeof ResizeObserver === 'undefined') {
+    window.addEventListener('resize', check, { passive: true });
+    return () => window.removeEventListener('resize', check);
+  }
+
+  const observer = new ResizeObserver(check);
+  observer.observe(element);
+
+  return () => observer.disconnect();
+}
@@ -0,0 +1,83 @@
+/**
+ * Aurora Aqua - Visibility Scheduler
+ * Tracks whether the 3D canvas can actually be seen: the tab must be
+ * visible (Page Visibility API) and the canvas container must be in
+ * the viewport (IntersectionObserver). Subscribers suspend their loops
+ * while it is hidden and pick up where they left off afterwards.
+ */
+
+export class VisibilityScheduler {
+  constructor(target) {
+    this.target = target;
+    this.pageVisible = !document.hidden;
+    this.targetVisible = true;
+    this.visible = this.pageVisible;
+    this.callbacks = [];
+    this.observer = null;
+
+    this.init();
+  }
+
+  init() {
+    this.visibilityHandler = () => {
+      if (this.pageVisible === !document.hidden) return;
+      this.pageVisible = !document.hidden;
+      this.update();
+    };
+    document.addEventListener('visibilitychange', this.visibilityHandler);
+
+    if (this.target && 'IntersectionObserver' in window) {
+      this.observer = new IntersectionObserver((entries) => {
+        const isIntersecting = entries[entries.length - 1].isIntersecting;
+        if (isIntersecting === this.targetVisible) return;
+        this.targetVisible = isIntersecting;
+        this.update();
+      }, { threshold: 0 });
+
+      this.observer.observe(this.target);
+    }
+  }
+
+  // Runs whenever either signal flips, even if the combined state holds
+  update() {
+    const visible = this.pageVisible && this.targetVisible;
+
+    if (visible !== this.visible) {
+      this.visible = visible;
+      console.log(visible ? '👁️ Visibility: Canvas visible, resuming' : '🙈 Visibility: Canvas hidden, suspending');
+    }
+
+    const state = { page: this.pageVisible, canvas: this.targetVisible };
+    for (let i = 0; i < this.callbacks.length; i++) {
+      this.callbacks[i](visible, state);
+    }
+  }
+
+  /**
+   * @param {Function} callback - Called with (visible, { page, canvas })
+   *   whenever the tab or canvas visibility changes
+   * @returns {Function} Unsubscribe
+   */
+  onChange(callback) {
+    if (typeof callback !== 'function') return () => {};
+
+    this.callbacks.push(callback);
+
+    return () => {
+      const index = this.callbacks.indexOf(callback);
+      if (index > -1) {
+        this.callbacks.splice(index, 1);
+      }
+    };
+  }
+
+  isVisible() {
+    return this.visible;
+  }
+
+  destroy() {
+    document.removeEventListener('visibilitychange', this.visibilityHandler);
+    if (this.observer) this.observer.disconnect();
+    this.callbacks = [];
+  }
+}